@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title FibonProxy
+ * @dev ERC1967 proxy in front of the FibonToken implementation.
+ * Upgrades are performed through the UUPS `upgradeToAndCall` function of the implementation.
+ */
+contract FibonProxy is ERC1967Proxy {
+    /**
+     * @dev Sets up the proxy with the initial logic contract and initialization data.
+     * @param _logic Address of the FibonToken implementation.
+     * @param _data ABI-encoded call to `initialize` with the owner address.
+     */
+    constructor(address _logic, bytes memory _data) ERC1967Proxy(_logic, _data) {}
+}
@@ -1,174 +1,186 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/interfaces/IERC1363.sol";
+import "./FibonTokenBase.sol";
 
 /**
  * @title FibonToken
  * @dev Implementation of the FibonToken, an ERC20 token with burnable and mintable functionalities.
- * It also supports ERC20Permit for gasless approvals and includes transfer fees.
+ * It also supports ERC20Permit for gasless approvals, ERC20Votes and includes transfer fees; its other
+ * functions are reached through {fallback} (see {FibonTokenStorage}).
  */
-contract FibonToken is ERC20, ERC20Burnable, Ownable, ERC20Permit {
+contract FibonToken is FibonTokenBase, ERC20BurnableUpgradeable, ERC20PermitUpgradeable, UUPSUpgradeable {
+    /// @notice Contract implementing the functions the token does not, reached through {fallback}
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable extension;
 
-    /// @notice Mapping of blacklisted addresses
-    mapping(address => bool) public isBlacklisted;
-
-    /// @notice Fee percentage for transfers (in basis points, 5 = 0.05%)
-    uint256 public transferFeePercent;
-
-    /// @notice Maximum token supply cap (5,882,000,000 tokens)
-    uint256 public constant MAX_SUPPLY = 5_882_000_000 * 10**18;
-
-    /// @notice Basis points denominator
-    uint256 private constant BASIS_POINTS = 10000;
-
-    /// @notice Event emitted when an address is blacklisted
-    event AddressBlacklisted(address indexed account);
-
-    /// @notice Event emitted when an address is removed from blacklist
-    event AddressUnblacklisted(address indexed account);
-
-    /// @notice Event emitted when transfer fee percentage is updated
-    event TransferFeeUpdated(uint256 oldFeePercent, uint256 newFeePercent);
+    /**
+     * @dev Disables initializers so the implementation contract cannot be initialized directly.
+     * @param _extension The {FibonTokenTransferExtension} deployment implementing the functions the token does not
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension) {
+        require(_extension.code.length > 0, "Invalid extension");
+        _disableInitializers();
+        extension = _extension;
+    }
 
     /**
+     * @notice Initializes the token behind the proxy.
      * @dev Sets the token name, symbol, and initializes the permit functionality.
-     * Also sets the initial owner of the contract.
-     * @param initialOwner The address of the initial owner of the token.
+     * Grants every role to the initial admin, which also receives fees and is exempt from them.
+     * @param initialAdmin The address of the initial admin of the token.
      */
-    constructor(address initialOwner)
-        ERC20("FibonToken", "FIBON")
-        ERC20Permit("FibonToken")
-        Ownable(initialOwner)
-    {
+    function initialize(address initialAdmin) public initializer {
+        __ERC20_init("FibonToken", "FIBON");
+        __ERC20Burnable_init();
+        __AccessControl_init();
+        __ERC20Permit_init("FibonToken");
+        __ERC20Votes_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(MINTER_ROLE, initialAdmin);
+        _grantRole(BLACKLIST_MANAGER_ROLE, initialAdmin);
+        _grantRole(FEE_MANAGER_ROLE, initialAdmin);
+
         transferFeePercent = 5;
+        emissionStartTime = block.timestamp;
+        feeRecipient = initialAdmin;
+        isFeeExempt[initialAdmin] = true;
+        feeTreasuryShare = BASIS_POINTS;
+        emit FeeRecipientUpdated(address(0), initialAdmin);
+        emit FeeExemptionUpdated(initialAdmin, true);
+        emit FeeSplitUpdated(BASIS_POINTS, 0, 0);
     }
 
     /**
-     * @notice Allows the owner to mint new tokens.
-     * @dev Only the contract owner can call this function.
+     * @notice Allows a minter to mint new tokens.
+     * @dev Only accounts with MINTER_ROLE can call this function.
+     * Minting is capped at EMISSION_PER_EPOCH per epoch; unused allowance does not carry over.
      * @param to The address to receive the minted tokens.
      * @param amount The amount of tokens to mint.
      */
-    function mint(address to, uint256 amount) public onlyOwner {
-        require(!isBlacklisted[to], "Recipient is blacklisted");
+    function mint(address to, uint256 amount) public onlyRole(MINTER_ROLE) {
         require(totalSupply() + amount <= MAX_SUPPLY, "Exceeds maximum token supply");
+
+        uint256 epoch = _currentEmissionEpoch();
+        require(mintedInEpoch[epoch] + amount <= EMISSION_PER_EPOCH, "Exceeds epoch emission allowance");
+        mintedInEpoch[epoch] += amount;
+
         _mint(to, amount);
     }
 
     /**
-     * @notice Sets the transfer fee percentage (in basis points)
-     * @param newFeePercent The new fee percentage (e.g., 5 = 0.05%)
+     * @dev Override transferFrom to check the allowance against the gross amount
      */
-    function setTransferFeePercent(uint256 newFeePercent) external onlyOwner {
-        require(newFeePercent <= 1000, "Fee cannot exceed 10%");
-        uint256 oldFeePercent = transferFeePercent;
-        transferFeePercent = newFeePercent;
-        emit TransferFeeUpdated(oldFeePercent, newFeePercent);
+    function transferFrom(address from, address to, uint256 amount) public virtual override returns (bool) {
+        _transferFromSpender(from, to, amount);
+        return true;
     }
 
     /**
-     * @notice Allows the owner to blacklist an address
-     * @param _account The address to blacklist
+     * @dev See {IERC165-supportsInterface}. Adds the ERC-1363 interface.
      */
-    function blacklistAddress(address _account) external onlyOwner {
-        require(_account != address(0), "Invalid address");
-        require(!isBlacklisted[_account], "Address already blacklisted");
-
-        isBlacklisted[_account] = true;
-        emit AddressBlacklisted(_account);
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        virtual
+        override
+        returns (bool)
+    {
+        return interfaceId == type(IERC1363).interfaceId || super.supportsInterface(interfaceId);
     }
 
     /**
-     * @notice Allows the owner to remove an address from blacklist
-     * @param _account The address to unblacklist
+     * @dev Override permit to refuse permits while paused; blacklisted owners and spenders are refused by {_approve}
      */
-    function unblacklistAddress(address _account) external onlyOwner {
-        require(_account != address(0), "Invalid address");
-        require(isBlacklisted[_account], "Address not blacklisted");
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual override whenNotPaused {
+        super.permit(owner, spender, value, deadline, v, r, s);
+    }
 
-        isBlacklisted[_account] = false;
-        emit AddressUnblacklisted(_account);
+    /**
+     * @dev Prevents blacklisted addresses from delegating or receiving delegated voting power.
+     * Covers both {delegate} and {delegateBySig}.
+     */
+    function _delegate(address account, address delegatee) internal virtual override {
+        require(!isBlacklisted[account], "Delegator is blacklisted");
+        require(!isBlacklisted[delegatee], "Delegatee is blacklisted");
+        super._delegate(account, delegatee);
     }
 
     /**
-     * @dev Override transfer and transferFrom to add blacklist check and fee collection
+     * @dev Required override as ERC20Burnable and ERC20Permit also inherit {ERC20Upgradeable}; the blacklist
+     * checks are applied by {FibonTokenBase-_approve}.
      */
-    function transfer(address to, uint256 amount) public virtual override returns (bool) {
-        require(!isBlacklisted[msg.sender], "Sender is blacklisted");
-        require(!isBlacklisted[to], "Recipient is blacklisted");
-
-        if (transferFeePercent > 0 && msg.sender != owner()) {
-            uint256 feeAmount = (amount * transferFeePercent) / BASIS_POINTS;
-            require(feeAmount > 0, "Transfer amount too small");
-            uint256 netAmount = amount - feeAmount;
-            
-            _transfer(msg.sender, owner(), feeAmount);
-            _transfer(msg.sender, to, netAmount);
-            return true;
-        }
-
-        return super.transfer(to, amount);
+    function _approve(address owner, address spender, uint256 value, bool emitEvent)
+        internal
+        virtual
+        override(ERC20Upgradeable, FibonTokenBase)
+    {
+        super._approve(owner, spender, value, emitEvent);
     }
 
     /**
-     * @dev Override transferFrom to add fee collection
+     * @dev Required override, see {_approve}; the blacklist checks are applied by {FibonTokenBase-_spendAllowance}.
      */
-    function transferFrom(address from, address to, uint256 amount) public virtual override returns (bool) {
-        require(!isBlacklisted[from], "Sender is blacklisted");
-        require(!isBlacklisted[to], "Recipient is blacklisted");
-
-        if (transferFeePercent > 0 && from != owner()) {
-            uint256 feeAmount = (amount * transferFeePercent) / BASIS_POINTS;
-            require(feeAmount > 0, "Transfer amount too small");
-            uint256 netAmount = amount - feeAmount;
-
-            uint256 currentAllowance = allowance(from, msg.sender);
-            require(currentAllowance >= amount, "Insufficient allowance");
-            
-            _spendAllowance(from, msg.sender, amount);
-            _transfer(from, owner(), feeAmount);
-            _transfer(from, to, netAmount);
-            return true;
-        }
-
-        return super.transferFrom(from, to, amount);
+    function _spendAllowance(address owner, address spender, uint256 value)
+        internal
+        virtual
+        override(ERC20Upgradeable, FibonTokenBase)
+    {
+        super._spendAllowance(owner, spender, value);
     }
 
     /**
-     * @dev Override burn to prevent burning by blacklisted addresses
+     * @dev Required override, see {_approve}; the transfer rules are applied by {FibonTokenBase-_update}.
      */
-    function burn(uint256 amount) public virtual override {
-        require(!isBlacklisted[msg.sender], "Sender is blacklisted");
-        super.burn(amount);
+    function _update(address from, address to, uint256 value)
+        internal
+        virtual
+        override(ERC20Upgradeable, FibonTokenBase)
+    {
+        super._update(from, to, value);
     }
 
     /**
-     * @dev Override burnFrom to prevent burning from blacklisted addresses
+     * @dev Required override as both ERC20Permit and Votes use {Nonces}.
      */
-    function burnFrom(address account, uint256 amount) public virtual override {
-        require(!isBlacklisted[msg.sender], "Spender is blacklisted");
-        require(!isBlacklisted[account], "Token owner is blacklisted");
-        super.burnFrom(account, amount);
+    function nonces(address owner)
+        public
+        view
+        virtual
+        override(ERC20PermitUpgradeable, NoncesUpgradeable)
+        returns (uint256)
+    {
+        return super.nonces(owner);
     }
 
     /**
-     * @dev Override permit to prevent permits for blacklisted addresses
+     * @dev Restricts upgrades of the implementation to the admin.
+     * @param newImplementation The address of the new implementation.
      */
-    function permit(
-        address owner,
-        address spender,
-        uint256 value,
-        uint256 deadline,
-        uint8 v,
-        bytes32 r,
-        bytes32 s
-    ) public virtual override {
-        require(!isBlacklisted[owner], "Owner is blacklisted");
-        require(!isBlacklisted[spender], "Spender is blacklisted");
-        super.permit(owner, spender, value, deadline, v, r, s);
+    function _authorizeUpgrade(address newImplementation) internal virtual override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    /**
+     * @dev Forwards calls to functions not implemented by the token to {extension}, running them
+     * against the token's storage. Reverts from the extension are bubbled up unchanged.
+     */
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    fallback() external {
+        _forward(extension);
     }
 }
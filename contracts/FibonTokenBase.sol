@@ -0,0 +1,193 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20VotesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "./FibonTokenStorage.sol";
+
+/**
+ * @title FibonTokenBase
+ * @dev Transfer rules shared by {FibonToken} and {FibonTokenTransferExtension}: the {_update} hook applied
+ * to every balance movement, and the allowance and approval checks.
+ */
+abstract contract FibonTokenBase is
+    FibonTokenStorage,
+    ERC20VotesUpgradeable,
+    AccessControlUpgradeable,
+    PausableUpgradeable
+{
+    /**
+     * @dev Moves `amount` from `from` to `to` using the caller's allowance.
+     * When a fee applies, the allowance must cover the full gross amount.
+     * @return The amount received by `to` after the transfer fee
+     */
+    function _transferFromSpender(address from, address to, uint256 amount) internal returns (uint256) {
+        if (_isTransferFeeApplicable(from, to)) {
+            uint256 currentAllowance = allowance(from, msg.sender);
+            require(currentAllowance >= amount, "Insufficient allowance");
+        }
+
+        _spendAllowance(from, msg.sender, amount);
+        return _transferWithFee(from, to, amount);
+    }
+
+    /**
+     * @dev Moves `amount` from `from` to `to`; the transfer fee is charged by {_update}.
+     * @return The amount received by `to`
+     */
+    function _transferWithFee(address from, address to, uint256 amount) internal returns (uint256) {
+        _transfer(from, to, amount);
+        return amount - _transferFeeOf(from, to, amount);
+    }
+
+    /**
+     * @dev Enforces the anti-whale limits until they expire. The amount sent may not exceed the maximum
+     * transaction unless the sender or the recipient is exempt, and the recipient's resulting balance may
+     * not exceed the maximum wallet unless the recipient is exempt. A limit of zero is disabled.
+     */
+    function _checkTransferLimits(address from, address to, uint256 amount) internal view {
+        if (block.timestamp >= transferLimitsExpiry) {
+            return;
+        }
+
+        uint256 maxTransaction = maxTransactionAmount;
+        if (maxTransaction != 0 && !isTransferLimitExempt[from] && !isTransferLimitExempt[to]) {
+            require(amount <= maxTransaction, "Exceeds maximum transaction amount");
+        }
+
+        uint256 maxWallet = maxWalletBalance;
+        if (maxWallet != 0 && !isTransferLimitExempt[to]) {
+            require(balanceOf(to) <= maxWallet, "Exceeds maximum wallet balance");
+        }
+    }
+
+    /**
+     * @dev Charges the transfer fee on `amount` to `from` and splits it between the fee recipient,
+     * a burn and the rewards pool. Rounding dust of the split goes to the fee recipient.
+     * @param from The address paying the fee
+     * @param amount The gross transfer amount
+     * @return netAmount The amount left for the recipient after the fee
+     */
+    function _chargeTransferFee(address from, uint256 amount) internal returns (uint256 netAmount) {
+        uint256 feeAmount = (amount * transferFeePercent) / BASIS_POINTS;
+        if (feeAmount == 0) {
+            return amount;
+        }
+
+        uint256 burnAmount = (feeAmount * feeBurnShare) / BASIS_POINTS;
+        uint256 rewardsAmount = (feeAmount * feeRewardsShare) / BASIS_POINTS;
+        uint256 treasuryAmount = feeAmount - burnAmount - rewardsAmount;
+
+        if (treasuryAmount > 0) {
+            _updateUnchecked(from, feeRecipient, treasuryAmount);
+        }
+        if (burnAmount > 0) {
+            _updateUnchecked(from, address(0), burnAmount);
+        }
+        if (rewardsAmount > 0) {
+            _updateUnchecked(from, rewardsPool, rewardsAmount);
+        }
+
+        emit TransferFeeCollected(from, treasuryAmount, burnAmount, rewardsAmount);
+        return amount - feeAmount;
+    }
+
+    /**
+     * @dev Prevents blacklisted owners from approving and blacklisted spenders from being approved.
+     * Covers approve, approveAndCall and permit; allowance updates made while spending are checked
+     * by {_spendAllowance}.
+     */
+    function _approve(address owner, address spender, uint256 value, bool emitEvent) internal virtual override {
+        if (emitEvent) {
+            require(!isBlacklisted[owner], "Owner is blacklisted");
+            require(!isBlacklisted[spender], "Spender is blacklisted");
+        }
+        super._approve(owner, spender, value, emitEvent);
+    }
+
+    /**
+     * @dev Prevents blacklisted spenders from using an allowance, and allowances of blacklisted owners
+     * from being used. Covers transferFrom, transferFromAndCall, burnFrom, bridgeBurn and the
+     * repayment of flash loans.
+     */
+    function _spendAllowance(address owner, address spender, uint256 value) internal virtual override {
+        require(!isBlacklisted[spender], "Spender is blacklisted");
+        require(!isBlacklisted[owner], "Token owner is blacklisted");
+        super._spendAllowance(owner, spender, value);
+    }
+
+    /**
+     * @dev Central transfer hook: every balance movement (transfers, mints and burns, whatever the entry
+     * point) is refused while the token is paused, or when the sender or the recipient is blacklisted. Transfers between two holders
+     * are also charged the transfer fee and checked against the anti-whale limits.
+     * Privileged moves (seizures and fee distribution) use {_updateUnchecked} to bypass these rules.
+     */
+    function _update(address from, address to, uint256 value)
+        internal
+        virtual
+        override
+    {
+        _move(from, to, value, true);
+    }
+
+    /**
+     * @dev Applies the rules of {_update} to a balance movement, charging the transfer fee only if
+     * `chargeFee` is set. {multiTransfer} moves its legs without the fee and charges it once on the total.
+     */
+    function _move(address from, address to, uint256 value, bool chargeFee) internal {
+        _requireNotPaused();
+        require(!isBlacklisted[from], "Sender is blacklisted");
+        require(!isBlacklisted[to], "Recipient is blacklisted");
+
+        if (from == address(0) || to == address(0)) {
+            _updateUnchecked(from, to, value);
+            return;
+        }
+
+        uint256 netAmount = value;
+        if (chargeFee && _isTransferFeeApplicable(from, to)) {
+            netAmount = _chargeTransferFee(from, value);
+        }
+        _updateUnchecked(from, to, netAmount);
+        _checkTransferLimits(from, to, value);
+    }
+
+    /**
+     * @dev Moves balances without the rules of {_update}, keeping vote checkpoints in sync.
+     * Also records the balances and total supply about to change for the current snapshot,
+     * so every path (transfers, fees, mints and burns) keeps the snapshot history correct.
+     */
+    function _updateUnchecked(address from, address to, uint256 value) internal {
+        if (from == address(0) || to == address(0)) {
+            _updateSnapshot(_totalSupplySnapshots, totalSupply());
+        }
+        if (from != address(0)) {
+            _updateSnapshot(_accountBalanceSnapshots[from], balanceOf(from));
+        }
+        if (to != address(0)) {
+            _updateSnapshot(_accountBalanceSnapshots[to], balanceOf(to));
+        }
+
+        super._update(from, to, value);
+    }
+
+    /**
+     * @dev Delegates the current call to `target` and returns or reverts with its result, so that the
+     * functions of `target` run against the token's storage.
+     */
+    function _forward(address target) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
@@ -0,0 +1,530 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Arrays.sol";
+import "./FibonTokenStorage.sol";
+
+/**
+ * @title FibonTokenExtension
+ * @dev Administrative and read-only functions of {FibonToken}, reached through {FibonTokenTransferExtension}
+ * (see {FibonTokenStorage}). Must not be called directly.
+ */
+contract FibonTokenExtension is FibonTokenStorage, AccessControlUpgradeable, PausableUpgradeable {
+    using SafeERC20 for IERC20;
+
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /**
+     * @dev Disables initializers; the extension is only ever used through {FibonToken}.
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Allows the admin to pause all token transfers, mints, burns and permits.
+     * @dev Emits a {Paused} event.
+     */
+    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Allows the admin to resume token transfers, mints, burns and permits.
+     * @dev Emits an {Unpaused} event.
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Returns the index of the current emission epoch
+     */
+    function currentEmissionEpoch() public view returns (uint256) {
+        return _currentEmissionEpoch();
+    }
+
+    /**
+     * @notice Returns the amount that can still be minted in the current emission epoch
+     * @dev Also bounded by the remaining supply under MAX_SUPPLY.
+     */
+    function mintableInCurrentEpoch() external view returns (uint256) {
+        uint256 epochRemaining = EMISSION_PER_EPOCH - mintedInEpoch[currentEmissionEpoch()];
+        uint256 supplyRemaining = remainingMintableSupply();
+        return epochRemaining < supplyRemaining ? epochRemaining : supplyRemaining;
+    }
+
+    /**
+     * @notice Returns the amount that can still be minted before reaching MAX_SUPPLY
+     */
+    function remainingMintableSupply() public view returns (uint256) {
+        // ERC20 balances live in the token's namespaced storage; read the supply through the token itself
+        return MAX_SUPPLY - IERC20(address(this)).totalSupply();
+    }
+
+    /**
+     * @notice Announces a new transfer fee percentage (in basis points) that can be applied from `effectiveTime`
+     * @dev The effective time must be at least MIN_FEE_CHANGE_DELAY in the future.
+     * A new proposal replaces any pending one.
+     * @param newFeePercent The new fee percentage (e.g., 5 = 0.05%)
+     * @param effectiveTime The timestamp from which the change can be applied
+     */
+    function proposeTransferFeePercent(uint256 newFeePercent, uint256 effectiveTime) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newFeePercent <= 1000, "Fee cannot exceed 10%");
+        require(effectiveTime >= block.timestamp + MIN_FEE_CHANGE_DELAY, "Effective time too early");
+
+        pendingTransferFeePercent = newFeePercent;
+        pendingTransferFeeEffectiveTime = effectiveTime;
+        emit TransferFeeChangeProposed(transferFeePercent, newFeePercent, effectiveTime);
+    }
+
+    /**
+     * @notice Cancels the pending transfer fee change
+     */
+    function cancelTransferFeeChange() external onlyRole(FEE_MANAGER_ROLE) {
+        uint256 effectiveTime = pendingTransferFeeEffectiveTime;
+        require(effectiveTime != 0, "No pending fee change");
+
+        uint256 newFeePercent = pendingTransferFeePercent;
+        delete pendingTransferFeePercent;
+        delete pendingTransferFeeEffectiveTime;
+        emit TransferFeeChangeCancelled(newFeePercent, effectiveTime);
+    }
+
+    /**
+     * @notice Applies the pending transfer fee change once its effective time has passed
+     * @dev Can be called by anyone.
+     */
+    function applyTransferFeeChange() external {
+        uint256 effectiveTime = pendingTransferFeeEffectiveTime;
+        require(effectiveTime != 0, "No pending fee change");
+        require(block.timestamp >= effectiveTime, "Fee change not yet effective");
+
+        uint256 oldFeePercent = transferFeePercent;
+        uint256 newFeePercent = pendingTransferFeePercent;
+        transferFeePercent = newFeePercent;
+        delete pendingTransferFeePercent;
+        delete pendingTransferFeeEffectiveTime;
+        emit TransferFeeUpdated(oldFeePercent, newFeePercent);
+    }
+
+    /**
+     * @notice Returns the pending transfer fee change, if any
+     * @return isPending Whether a change is pending
+     * @return newFeePercent The announced fee percentage
+     * @return effectiveTime The timestamp from which the change can be applied
+     */
+    function getPendingTransferFeeChange()
+        external
+        view
+        returns (bool isPending, uint256 newFeePercent, uint256 effectiveTime)
+    {
+        effectiveTime = pendingTransferFeeEffectiveTime;
+        return (effectiveTime != 0, pendingTransferFeePercent, effectiveTime);
+    }
+
+    /**
+     * @notice Allows a fee manager to add or remove an address from the fee exemption list
+     * @dev Transfers are fee-free when either the sender or the recipient is exempt.
+     * @param _account The address to update
+     * @param _isExempt Whether the address is exempt from transfer fees
+     */
+    function setFeeExempt(address _account, bool _isExempt) external onlyRole(FEE_MANAGER_ROLE) {
+        require(_account != address(0), "Invalid address");
+        require(isFeeExempt[_account] != _isExempt, "Fee exemption already set");
+
+        isFeeExempt[_account] = _isExempt;
+        emit FeeExemptionUpdated(_account, _isExempt);
+    }
+
+    /**
+     * @notice Allows a fee manager to set the treasury address that receives transfer fees
+     * @param _feeRecipient The new fee recipient
+     */
+    function setFeeRecipient(address _feeRecipient) external onlyRole(FEE_MANAGER_ROLE) {
+        require(_feeRecipient != address(0), "Invalid address");
+
+        address oldRecipient = feeRecipient;
+        feeRecipient = _feeRecipient;
+        emit FeeRecipientUpdated(oldRecipient, _feeRecipient);
+    }
+
+    /**
+     * @notice Allows a fee manager to set the rewards/staking pool that receives part of each fee
+     * @param _rewardsPool The new rewards pool
+     */
+    function setRewardsPool(address _rewardsPool) external onlyRole(FEE_MANAGER_ROLE) {
+        require(_rewardsPool != address(0), "Invalid address");
+
+        address oldPool = rewardsPool;
+        rewardsPool = _rewardsPool;
+        emit RewardsPoolUpdated(oldPool, _rewardsPool);
+    }
+
+    /**
+     * @notice Allows a fee manager to set how transfer fees are split (in basis points)
+     * @dev The three shares must sum to 10000. A rewards share requires a rewards pool to be set.
+     * @param treasuryShare Share sent to the fee recipient
+     * @param burnShare Share that is burned
+     * @param rewardsShare Share sent to the rewards pool
+     */
+    function setFeeSplit(uint256 treasuryShare, uint256 burnShare, uint256 rewardsShare) external onlyRole(FEE_MANAGER_ROLE) {
+        require(treasuryShare + burnShare + rewardsShare == BASIS_POINTS, "Fee split must sum to 10000");
+        require(rewardsShare == 0 || rewardsPool != address(0), "Rewards pool not set");
+
+        feeTreasuryShare = treasuryShare;
+        feeBurnShare = burnShare;
+        feeRewardsShare = rewardsShare;
+        emit FeeSplitUpdated(treasuryShare, burnShare, rewardsShare);
+    }
+
+    /**
+     * @notice Returns whether a transfer between two addresses is charged the transfer fee
+     * @param from The sender of the transfer
+     * @param to The recipient of the transfer
+     * @return True if the fee applies
+     */
+    function isTransferFeeApplicable(address from, address to) external view returns (bool) {
+        return _isTransferFeeApplicable(from, to);
+    }
+
+    /**
+     * @notice Quotes the fee charged on a transfer and the amount the recipient receives
+     * @dev Amounts whose fee rounds down to zero are transferred without a fee.
+     * @param from The sender of the transfer
+     * @param to The recipient of the transfer
+     * @param amount The amount sent
+     * @return feeAmount The fee taken from the amount sent
+     * @return netAmount The amount received by the recipient
+     */
+    function quoteTransfer(address from, address to, uint256 amount)
+        external
+        view
+        returns (uint256 feeAmount, uint256 netAmount)
+    {
+        feeAmount = _transferFeeOf(from, to, amount);
+        netAmount = amount - feeAmount;
+    }
+
+    /**
+     * @notice Quotes the amount to send so that the recipient receives exactly `netAmount`
+     * @param from The sender of the transfer
+     * @param to The recipient of the transfer
+     * @param netAmount The amount the recipient should receive
+     * @return grossAmount The amount to send, fee included
+     * @return feeAmount The fee taken from the gross amount
+     */
+    function quoteTransferExact(address from, address to, uint256 netAmount)
+        external
+        view
+        returns (uint256 grossAmount, uint256 feeAmount)
+    {
+        return _quoteTransferExact(from, to, netAmount);
+    }
+
+    /**
+     * @notice Allows a blacklist manager to blacklist an address
+     * @param _account The address to blacklist
+     */
+    function blacklistAddress(address _account) external onlyRole(BLACKLIST_MANAGER_ROLE) {
+        _addToBlacklist(_account);
+        emit AddressBlacklisted(_account);
+    }
+
+    /**
+     * @notice Allows a blacklist manager to remove an address from blacklist
+     * @param _account The address to unblacklist
+     */
+    function unblacklistAddress(address _account) external onlyRole(BLACKLIST_MANAGER_ROLE) {
+        _removeFromBlacklist(_account);
+        emit AddressUnblacklisted(_account);
+    }
+
+    /**
+     * @notice Allows a blacklist manager to blacklist several addresses at once
+     * @dev Reverts if any address is invalid or already blacklisted. Emits {AddressBlacklisted} like
+     * {blacklistAddress}, followed by {AddressBlacklistedWithReason}, for every address.
+     * @param _accounts The addresses to blacklist
+     * @param _reasonCode Compliance reason code recorded in the events
+     */
+    function blacklistAddresses(address[] calldata _accounts, uint256 _reasonCode)
+        external
+        onlyRole(BLACKLIST_MANAGER_ROLE)
+    {
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            _addToBlacklist(_accounts[i]);
+            emit AddressBlacklisted(_accounts[i]);
+            emit AddressBlacklistedWithReason(_accounts[i], _reasonCode);
+        }
+    }
+
+    /**
+     * @notice Allows a blacklist manager to remove several addresses from blacklist at once
+     * @dev Reverts if any address is invalid or not blacklisted. Emits {AddressUnblacklisted} like
+     * {unblacklistAddress}, followed by {AddressUnblacklistedWithReason}, for every address.
+     * @param _accounts The addresses to unblacklist
+     * @param _reasonCode Compliance reason code recorded in the events
+     */
+    function unblacklistAddresses(address[] calldata _accounts, uint256 _reasonCode)
+        external
+        onlyRole(BLACKLIST_MANAGER_ROLE)
+    {
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            _removeFromBlacklist(_accounts[i]);
+            emit AddressUnblacklisted(_accounts[i]);
+            emit AddressUnblacklistedWithReason(_accounts[i], _reasonCode);
+        }
+    }
+
+    /**
+     * @notice Returns the number of blacklisted addresses
+     */
+    function blacklistedCount() external view returns (uint256) {
+        return _blacklistedAccounts.length();
+    }
+
+    /**
+     * @notice Returns a page of blacklisted addresses
+     * @dev The order is not guaranteed to stay the same after addresses are removed.
+     * @param offset Index of the first address to return
+     * @param limit Maximum number of addresses to return
+     * @return accounts The blacklisted addresses in the requested range
+     */
+    function getBlacklistedAddresses(uint256 offset, uint256 limit) external view returns (address[] memory accounts) {
+        uint256 total = _blacklistedAccounts.length();
+        if (offset >= total) {
+            return new address[](0);
+        }
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        accounts = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            accounts[i - offset] = _blacklistedAccounts.at(i);
+        }
+    }
+
+    /**
+     * @dev Adds `account` to the blacklist, reverting if it is invalid or already blacklisted.
+     */
+    function _addToBlacklist(address account) private {
+        require(account != address(0), "Invalid address");
+        require(!isBlacklisted[account], "Address already blacklisted");
+
+        isBlacklisted[account] = true;
+        _blacklistedAccounts.add(account);
+    }
+
+    /**
+     * @dev Removes `account` from the blacklist, reverting if it is invalid or not blacklisted.
+     */
+    function _removeFromBlacklist(address account) private {
+        require(account != address(0), "Invalid address");
+        require(isBlacklisted[account], "Address not blacklisted");
+
+        isBlacklisted[account] = false;
+        _blacklistedAccounts.remove(account);
+    }
+
+    /**
+     * @notice Returns whether an ERC-3009 authorization nonce has been used or canceled
+     * @param authorizer The authorizer's address
+     * @param nonce The nonce of the authorization
+     */
+    function authorizationState(address authorizer, bytes32 nonce) external view returns (bool) {
+        return _authorizationStates[authorizer][nonce];
+    }
+
+    /**
+     * @notice Takes a snapshot of all balances and the total supply
+     * @dev Callable by the admin or an account with SNAPSHOT_ROLE. Values are recorded lazily:
+     * an account's balance is only written the first time it changes after the snapshot.
+     * @return The id of the new snapshot
+     */
+    function snapshot() external returns (uint256) {
+        require(
+            hasRole(DEFAULT_ADMIN_ROLE, _msgSender()) || hasRole(SNAPSHOT_ROLE, _msgSender()),
+            "Caller cannot take snapshots"
+        );
+
+        uint256 snapshotId = ++currentSnapshotId;
+        emit Snapshot(snapshotId);
+        return snapshotId;
+    }
+
+    /**
+     * @notice Returns the balance of `account` at the time snapshot `snapshotId` was taken
+     * @param account The account to query
+     * @param snapshotId The snapshot id
+     */
+    function balanceOfAt(address account, uint256 snapshotId) external view returns (uint256) {
+        (bool snapshotted, uint256 value) = _valueAt(_accountBalanceSnapshots[account], snapshotId);
+        return snapshotted ? value : IERC20(address(this)).balanceOf(account);
+    }
+
+    /**
+     * @notice Returns the total supply at the time snapshot `snapshotId` was taken
+     * @param snapshotId The snapshot id
+     */
+    function totalSupplyAt(uint256 snapshotId) external view returns (uint256) {
+        (bool snapshotted, uint256 value) = _valueAt(_totalSupplySnapshots, snapshotId);
+        return snapshotted ? value : IERC20(address(this)).totalSupply();
+    }
+
+    /**
+     * @dev Returns the value recorded for `snapshotId`, if any. When nothing was recorded at or after
+     * the snapshot, the value has not changed since and the current value applies.
+     */
+    function _valueAt(Snapshots storage snapshots, uint256 snapshotId) private view returns (bool, uint256) {
+        require(snapshotId > 0, "Invalid snapshot id");
+        require(snapshotId <= currentSnapshotId, "Nonexistent snapshot id");
+
+        uint256 index = Arrays.findUpperBound(snapshots.ids, snapshotId);
+        if (index == snapshots.ids.length) {
+            return (false, 0);
+        }
+        return (true, snapshots.values[index]);
+    }
+
+    /**
+     * @notice Allows the admin to register a bridge or change its limits
+     * @dev Limits refill linearly over {BridgeLimits-DURATION}. Setting both limits to zero removes the bridge.
+     * @param bridge The bridge contract
+     * @param mintingLimit Maximum amount the bridge can mint per refill period
+     * @param burningLimit Maximum amount the bridge can burn per refill period
+     */
+    function setBridgeLimits(address bridge, uint256 mintingLimit, uint256 burningLimit)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(bridge != address(0), "Invalid address");
+        require(mintingLimit <= MAX_SUPPLY && burningLimit <= MAX_SUPPLY, "Limit exceeds maximum supply");
+
+        BridgeLimits.setMaxLimit(_bridges[bridge].minting, mintingLimit);
+        BridgeLimits.setMaxLimit(_bridges[bridge].burning, burningLimit);
+        emit BridgeLimitsSet(mintingLimit, burningLimit, bridge);
+    }
+
+    /**
+     * @notice Returns the maximum minting limit of a bridge
+     * @param bridge The bridge contract
+     */
+    function mintingMaxLimitOf(address bridge) external view returns (uint256) {
+        return _bridges[bridge].minting.maxLimit;
+    }
+
+    /**
+     * @notice Returns the maximum burning limit of a bridge
+     * @param bridge The bridge contract
+     */
+    function burningMaxLimitOf(address bridge) external view returns (uint256) {
+        return _bridges[bridge].burning.maxLimit;
+    }
+
+    /**
+     * @notice Returns the amount a bridge can currently mint
+     * @param bridge The bridge contract
+     */
+    function mintingCurrentLimitOf(address bridge) external view returns (uint256) {
+        return BridgeLimits.currentLimit(_bridges[bridge].minting);
+    }
+
+    /**
+     * @notice Returns the amount a bridge can currently burn
+     * @param bridge The bridge contract
+     */
+    function burningCurrentLimitOf(address bridge) external view returns (uint256) {
+        return BridgeLimits.currentLimit(_bridges[bridge].burning);
+    }
+
+    /**
+     * @notice Allows the admin to set the anti-whale limits and when they switch off
+     * @dev A limit of zero is disabled. The limits apply to transfers until `expiry`. Switching them off is
+     * one-way: once an expiry is set it cannot be cleared (set it to the current time to end the limits early),
+     * and once it has passed it can no longer be moved later.
+     * @param _maxTransactionAmount Maximum amount of a single transfer
+     * @param _maxWalletBalance Maximum balance a transfer may leave the recipient with
+     * @param _expiry Timestamp from which the limits no longer apply
+     */
+    function setTransferLimits(uint256 _maxTransactionAmount, uint256 _maxWalletBalance, uint256 _expiry)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        uint256 currentExpiry = transferLimitsExpiry;
+        if (currentExpiry != 0) {
+            require(_expiry != 0, "Invalid expiry");
+            require(block.timestamp < currentExpiry || _expiry <= currentExpiry, "Transfer limits have expired");
+        }
+
+        maxTransactionAmount = _maxTransactionAmount;
+        maxWalletBalance = _maxWalletBalance;
+        transferLimitsExpiry = _expiry;
+        emit TransferLimitsUpdated(_maxTransactionAmount, _maxWalletBalance, _expiry);
+    }
+
+    /**
+     * @notice Allows the admin to add or remove an address from the anti-whale exemption list
+     * @dev Exempt addresses are typically the multisig, the ICO, the vesting contract and liquidity pools.
+     * @param _account The address to update
+     * @param _isExempt Whether the address is exempt from the limits
+     */
+    function setTransferLimitExempt(address _account, bool _isExempt) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_account != address(0), "Invalid address");
+        require(isTransferLimitExempt[_account] != _isExempt, "Transfer limit exemption already set");
+
+        isTransferLimitExempt[_account] = _isExempt;
+        emit TransferLimitExemptionUpdated(_account, _isExempt);
+    }
+
+    /**
+     * @notice Returns whether the anti-whale limits currently apply
+     */
+    function transferLimitsActive() external view returns (bool) {
+        return block.timestamp < transferLimitsExpiry;
+    }
+
+    /**
+     * @notice Allows a fee manager to set the fee charged on flash loans
+     * @param newFeePercent The new fee percentage (in basis points, e.g., 5 = 0.05%)
+     */
+    function setFlashFee(uint256 newFeePercent) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newFeePercent <= 1000, "Fee cannot exceed 10%");
+
+        uint256 oldFeePercent = flashFeePercent;
+        flashFeePercent = newFeePercent;
+        emit FlashFeeUpdated(oldFeePercent, newFeePercent);
+    }
+
+    /**
+     * @notice Allows the admin to recover ERC20 tokens sent to the token contract by mistake
+     * @dev Also recovers FIBON held by the token contract itself. FIBON is moved with a regular
+     * transfer, so the pause, the blacklist and the transfer fee apply to it.
+     * @param _token The address of the token to recover
+     * @param _to The address receiving the recovered tokens
+     * @param _amount The amount of tokens to recover
+     */
+    function recoverERC20(address _token, address _to, uint256 _amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_to != address(0), "Invalid address");
+
+        IERC20(_token).safeTransfer(_to, _amount);
+        emit ERC20Recovered(_token, _to, _amount);
+    }
+
+    /**
+     * @notice Allows the admin to recover ETH held by the token contract
+     * @dev The token does not accept ETH, but ETH can still be forced into it (e.g. by a selfdestruct).
+     * @param _to The address receiving the recovered ETH
+     * @param _amount The amount of ETH to recover
+     */
+    function recoverETH(address payable _to, uint256 _amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_to != address(0), "Invalid address");
+
+        Address.sendValue(_to, _amount);
+        emit ETHRecovered(_to, _amount);
+    }
+}
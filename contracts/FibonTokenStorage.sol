@@ -0,0 +1,277 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./libraries/BridgeLimits.sol";
+
+/**
+ * @title FibonTokenStorage
+ * @dev State variables, constants and events of {FibonToken}.
+ * To stay below the contract size limit, FibonToken only implements the ERC20, permit, votes, burn, mint
+ * and upgrade functions. Its fallback delegates every other call to {FibonTokenTransferExtension}, which holds
+ * the other balance-moving functions, and whose fallback delegates the rest to {FibonTokenExtension}, which
+ * holds the administrative and read-only functions. All three run against the token's storage, so they
+ * share this layout; the OpenZeppelin parents keep their state in namespaced (ERC-7201) storage. The ABI
+ * of the token is the union of the three (see the `export-abi` task).
+ * New state variables must be appended after the existing ones and the `__gap` array shrunk by the
+ * same number of slots.
+ */
+abstract contract FibonTokenStorage {
+    /// @notice Role allowed to mint new tokens
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    /// @notice Role allowed to blacklist and unblacklist addresses
+    bytes32 public constant BLACKLIST_MANAGER_ROLE = keccak256("BLACKLIST_MANAGER_ROLE");
+
+    /// @notice Role allowed to configure transfer fees
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /// @notice Role allowed to take balance snapshots, in addition to the admin
+    bytes32 public constant SNAPSHOT_ROLE = keccak256("SNAPSHOT_ROLE");
+
+    /// @dev Snapshot ids and the value recorded for each, in increasing id order
+    struct Snapshots {
+        uint256[] ids;
+        uint256[] values;
+    }
+
+    /// @notice Mapping of blacklisted addresses
+    mapping(address => bool) public isBlacklisted;
+
+    /// @notice Fee percentage for transfers (in basis points, 5 = 0.05%)
+    uint256 public transferFeePercent;
+
+    /// @notice Mapping of addresses exempt from the transfer fee, as sender or recipient
+    mapping(address => bool) public isFeeExempt;
+
+    /// @notice Treasury address that receives transfer fees
+    address public feeRecipient;
+
+    /// @notice Rewards/staking pool that receives its share of transfer fees
+    address public rewardsPool;
+
+    /// @notice Share of each transfer fee sent to the fee recipient (in basis points)
+    uint256 public feeTreasuryShare;
+
+    /// @notice Share of each transfer fee that is burned (in basis points)
+    uint256 public feeBurnShare;
+
+    /// @notice Share of each transfer fee sent to the rewards pool (in basis points)
+    uint256 public feeRewardsShare;
+
+    /// @notice Transfer fee percentage that will apply once the pending change takes effect
+    uint256 public pendingTransferFeePercent;
+
+    /// @notice Timestamp from which the pending transfer fee can be applied (0 if none is pending)
+    uint256 public pendingTransferFeeEffectiveTime;
+
+    /// @notice Start of the first emission epoch
+    uint256 public emissionStartTime;
+
+    /// @notice Amount minted in each emission epoch
+    mapping(uint256 => uint256) public mintedInEpoch;
+
+    /// @dev Enumerable set of blacklisted addresses, kept in sync with isBlacklisted
+    EnumerableSet.AddressSet internal _blacklistedAccounts;
+
+    /// @dev Mapping of authorizer to ERC-3009 nonce to whether it has been used or canceled
+    mapping(address => mapping(bytes32 => bool)) internal _authorizationStates;
+
+    /// @dev Balance history of each account, recorded when its balance first changes after a snapshot
+    mapping(address => Snapshots) internal _accountBalanceSnapshots;
+
+    /// @dev Total supply history, recorded when the supply first changes after a snapshot
+    Snapshots internal _totalSupplySnapshots;
+
+    /// @notice Id of the latest snapshot (0 if none has been taken)
+    uint256 public currentSnapshotId;
+
+    /// @dev Minting and burning limits of each bridge (all zero for addresses that are not bridges)
+    mapping(address => BridgeLimits.Bridge) internal _bridges;
+
+    /// @notice Maximum amount of a single transfer while the anti-whale limits are active (0 = no limit)
+    uint256 public maxTransactionAmount;
+
+    /// @notice Maximum balance a transfer may leave the recipient with while the limits are active (0 = no limit)
+    uint256 public maxWalletBalance;
+
+    /// @notice Timestamp from which the anti-whale limits no longer apply
+    uint256 public transferLimitsExpiry;
+
+    /// @notice Mapping of addresses exempt from the anti-whale limits
+    mapping(address => bool) public isTransferLimitExempt;
+
+    /// @notice Fee charged on ERC-3156 flash loans (in basis points, 5 = 0.05%)
+    uint256 public flashFeePercent;
+
+    /// @notice Maximum token supply cap (5,882,000,000 tokens)
+    uint256 public constant MAX_SUPPLY = 5_882_000_000 * 10**18;
+
+    /// @notice EIP-712 typehash of an ERC-3009 transferWithAuthorization
+    bytes32 public constant TRANSFER_WITH_AUTHORIZATION_TYPEHASH = keccak256(
+        "TransferWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)"
+    );
+
+    /// @notice EIP-712 typehash of an ERC-3009 receiveWithAuthorization
+    bytes32 public constant RECEIVE_WITH_AUTHORIZATION_TYPEHASH = keccak256(
+        "ReceiveWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)"
+    );
+
+    /// @notice EIP-712 typehash of an ERC-3009 cancelAuthorization
+    bytes32 public constant CANCEL_AUTHORIZATION_TYPEHASH = keccak256(
+        "CancelAuthorization(address authorizer,bytes32 nonce)"
+    );
+
+    /// @notice Length of an emission epoch
+    uint256 public constant EMISSION_EPOCH_DURATION = 30 days;
+
+    /// @notice Maximum amount that can be minted per emission epoch (294,100,000 tokens, 5% of MAX_SUPPLY)
+    uint256 public constant EMISSION_PER_EPOCH = 294_100_000 * 10**18;
+
+    /// @notice Minimum notice period between proposing and applying a transfer fee change
+    uint256 public constant MIN_FEE_CHANGE_DELAY = 2 days;
+
+    /// @notice Basis points denominator
+    uint256 internal constant BASIS_POINTS = 10000;
+
+    /// @notice Event emitted when an address is blacklisted
+    event AddressBlacklisted(address indexed account);
+
+    /// @notice Event emitted when an address is removed from blacklist
+    event AddressUnblacklisted(address indexed account);
+
+    /// @notice Event emitted when an address is blacklisted as part of a batch, with its reason code
+    event AddressBlacklistedWithReason(address indexed account, uint256 indexed reasonCode);
+
+    /// @notice Event emitted when an address is removed from blacklist as part of a batch, with its reason code
+    event AddressUnblacklistedWithReason(address indexed account, uint256 indexed reasonCode);
+
+    /// @notice Event emitted when an ERC-3009 authorization is used
+    event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce);
+
+    /// @notice Event emitted when an ERC-3009 authorization is canceled
+    event AuthorizationCanceled(address indexed authorizer, bytes32 indexed nonce);
+
+    /// @notice Event emitted when the balance of a blacklisted address is moved to a recovery address
+    event BlacklistedFundsSeized(
+        address indexed account,
+        address indexed recovery,
+        uint256 amount,
+        bytes32 indexed caseReference
+    );
+
+    /// @notice Event emitted when transfer fee percentage is updated
+    event TransferFeeUpdated(uint256 oldFeePercent, uint256 newFeePercent);
+
+    /// @notice Event emitted when a transfer fee change is announced
+    event TransferFeeChangeProposed(uint256 currentFeePercent, uint256 newFeePercent, uint256 effectiveTime);
+
+    /// @notice Event emitted when a pending transfer fee change is cancelled
+    event TransferFeeChangeCancelled(uint256 newFeePercent, uint256 effectiveTime);
+
+    /// @notice Event emitted when an address is added to or removed from the fee exemption list
+    event FeeExemptionUpdated(address indexed account, bool isExempt);
+
+    /// @notice Event emitted when the fee recipient is updated
+    event FeeRecipientUpdated(address indexed oldRecipient, address indexed newRecipient);
+
+    /// @notice Event emitted when the rewards pool is updated
+    event RewardsPoolUpdated(address indexed oldPool, address indexed newPool);
+
+    /// @notice Event emitted when the transfer fee split is updated
+    event FeeSplitUpdated(uint256 treasuryShare, uint256 burnShare, uint256 rewardsShare);
+
+    /// @notice Event emitted for every transfer fee charged, with the amount sent to each destination
+    event TransferFeeCollected(address indexed from, uint256 treasuryAmount, uint256 burnAmount, uint256 rewardsAmount);
+
+    /// @notice Event emitted when a balance snapshot is taken
+    event Snapshot(uint256 id);
+
+    /// @notice Event emitted when the minting and burning limits of a bridge are set
+    event BridgeLimitsSet(uint256 mintingLimit, uint256 burningLimit, address indexed bridge);
+
+    /// @notice Event emitted when the anti-whale limits are updated
+    event TransferLimitsUpdated(uint256 maxTransactionAmount, uint256 maxWalletBalance, uint256 expiry);
+
+    /// @notice Event emitted when an address is added to or removed from the anti-whale exemption list
+    event TransferLimitExemptionUpdated(address indexed account, bool isExempt);
+
+    /// @notice Event emitted when the flash loan fee is updated
+    event FlashFeeUpdated(uint256 oldFeePercent, uint256 newFeePercent);
+
+    /// @notice Event emitted when ERC20 tokens sent to the token contract are recovered
+    event ERC20Recovered(address indexed token, address indexed to, uint256 amount);
+
+    /// @notice Event emitted when ETH held by the token contract is recovered
+    event ETHRecovered(address indexed to, uint256 amount);
+
+    /**
+     * @dev Returns whether a transfer between two addresses is charged the transfer fee.
+     */
+    function _isTransferFeeApplicable(address from, address to) internal view returns (bool) {
+        return transferFeePercent > 0 && !isFeeExempt[from] && !isFeeExempt[to];
+    }
+
+    /**
+     * @dev Returns the fee charged on a transfer of `amount` from `from` to `to`.
+     */
+    function _transferFeeOf(address from, address to, uint256 amount) internal view returns (uint256) {
+        if (!_isTransferFeeApplicable(from, to)) {
+            return 0;
+        }
+        return (amount * transferFeePercent) / BASIS_POINTS;
+    }
+
+    /**
+     * @dev Returns the smallest amount to send from `from` to `to` so that the recipient receives
+     * exactly `netAmount`, and the fee taken from it.
+     */
+    function _quoteTransferExact(address from, address to, uint256 netAmount)
+        internal
+        view
+        returns (uint256 grossAmount, uint256 feeAmount)
+    {
+        if (!_isTransferFeeApplicable(from, to)) {
+            return (netAmount, 0);
+        }
+
+        // The ceiling below is at most two units above the smallest gross amount that leaves
+        // exactly netAmount after the rounded-down fee, so step down while that still holds.
+        uint256 feeDenominator = BASIS_POINTS - transferFeePercent;
+        grossAmount = (netAmount * BASIS_POINTS + feeDenominator - 1) / feeDenominator;
+        while (grossAmount > 0) {
+            uint256 lowerAmount = grossAmount - 1;
+            if (lowerAmount - (lowerAmount * transferFeePercent) / BASIS_POINTS < netAmount) {
+                break;
+            }
+            grossAmount = lowerAmount;
+        }
+        feeAmount = grossAmount - netAmount;
+    }
+
+    /**
+     * @dev Returns the index of the current emission epoch.
+     */
+    function _currentEmissionEpoch() internal view returns (uint256) {
+        return (block.timestamp - emissionStartTime) / EMISSION_EPOCH_DURATION;
+    }
+
+    /**
+     * @dev Records `currentValue` as the value at the current snapshot, unless a value was already
+     * recorded since the snapshot was taken. Called before a balance or the supply changes.
+     */
+    function _updateSnapshot(Snapshots storage snapshots, uint256 currentValue) internal {
+        uint256 snapshotId = currentSnapshotId;
+        uint256 length = snapshots.ids.length;
+        if (snapshotId > (length == 0 ? 0 : snapshots.ids[length - 1])) {
+            snapshots.ids.push(snapshotId);
+            snapshots.values.push(currentValue);
+        }
+    }
+
+    /**
+     * @dev Reserved storage space so that future versions can add state variables
+     * without shifting the storage layout of the proxy.
+     */
+    uint256[25] private __gap;
+}
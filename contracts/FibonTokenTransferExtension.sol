@@ -0,0 +1,398 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20FlashMintUpgradeable.sol";
+import "./FibonTokenBase.sol";
+import "./libraries/ERC1363Hooks.sol";
+import "./libraries/TransferAuthorization.sol";
+
+/**
+ * @title FibonTokenTransferExtension
+ * @dev Balance-moving functions of {FibonToken} that the token reaches through its fallback
+ * (see {FibonTokenStorage}). Must not be called directly.
+ */
+contract FibonTokenTransferExtension is FibonTokenBase, ERC20FlashMintUpgradeable {
+    /// @notice Contract implementing the administrative and read-only functions, reached through {fallback}
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable extension;
+
+    /**
+     * @dev Disables initializers; the extension is only ever used through {FibonToken}.
+     * @param _extension The {FibonTokenExtension} deployment implementing the functions this contract does not
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension) {
+        require(_extension.code.length > 0, "Invalid extension");
+        _disableInitializers();
+        extension = _extension;
+    }
+
+    /**
+     * @notice Allows a registered bridge to mint tokens bridged in from another chain, within its minting limit
+     * @dev Bridged tokens are backed by tokens locked or burned on the source chain, so they do not count
+     * against the emission schedule, but they remain capped by MAX_SUPPLY.
+     * @param user The address to receive the minted tokens
+     * @param amount The amount of tokens to mint
+     */
+    function bridgeMint(address user, uint256 amount) external {
+        require(!isBlacklisted[msg.sender], "Bridge is blacklisted");
+        require(totalSupply() + amount <= MAX_SUPPLY, "Exceeds maximum token supply");
+
+        BridgeLimits.useLimit(_bridges[msg.sender].minting, amount);
+        _mint(user, amount);
+    }
+
+    /**
+     * @notice Allows a registered bridge to burn tokens bridged out to another chain, within its burning limit
+     * @dev Burning from another address than the caller spends the caller's allowance.
+     * @param user The address whose tokens are burned
+     * @param amount The amount of tokens to burn
+     */
+    function bridgeBurn(address user, uint256 amount) external {
+        require(!isBlacklisted[msg.sender], "Bridge is blacklisted");
+
+        if (msg.sender != user) {
+            _spendAllowance(user, msg.sender, amount);
+        }
+        BridgeLimits.useLimit(_bridges[msg.sender].burning, amount);
+        _burn(user, amount);
+    }
+
+    /**
+     * @notice Allows the admin to move the whole balance of a blacklisted address to a recovery address,
+     * for instance to execute a court order
+     * @dev Bypasses the blacklist and transfer rules of {_update}; no transfer fee is charged on the seized amount.
+     * @param _account The blacklisted address whose balance is seized
+     * @param _recovery The address receiving the seized balance
+     * @param _caseReference Reference of the legal case or order, recorded in the event
+     */
+    function seizeBlacklistedFunds(address _account, address _recovery, bytes32 _caseReference)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(isBlacklisted[_account], "Address not blacklisted");
+        require(_recovery != address(0), "Invalid recovery address");
+        require(!isBlacklisted[_recovery], "Recovery address is blacklisted");
+
+        uint256 amount = balanceOf(_account);
+        require(amount > 0, "No balance to seize");
+
+        _updateUnchecked(_account, _recovery, amount);
+        emit BlacklistedFundsSeized(_account, _recovery, amount, _caseReference);
+    }
+
+    /**
+     * @notice Transfers enough tokens for `to` to receive exactly `netAmount` after the fee
+     * @param to The recipient of the transfer
+     * @param netAmount The amount the recipient receives
+     * @return True if the transfer succeeded
+     */
+    function transferExact(address to, uint256 netAmount) external returns (bool) {
+        (uint256 grossAmount, ) = _quoteTransferExact(_msgSender(), to, netAmount);
+        _transferWithFee(_msgSender(), to, grossAmount);
+        return true;
+    }
+
+    /**
+     * @notice Transfers enough tokens from `from` for `to` to receive exactly `netAmount` after the fee
+     * @dev The allowance is spent for the gross amount, fee included.
+     * @param from The sender of the transfer
+     * @param to The recipient of the transfer
+     * @param netAmount The amount the recipient receives
+     * @return True if the transfer succeeded
+     */
+    function transferFromExact(address from, address to, uint256 netAmount) external returns (bool) {
+        (uint256 grossAmount, ) = _quoteTransferExact(from, to, netAmount);
+        _transferFromSpender(from, to, grossAmount);
+        return true;
+    }
+
+    /**
+     * @notice Sends tokens from the caller to many recipients in one call, e.g. for airdrops
+     * @dev Each leg goes through {FibonTokenBase-_move}, so it is checked against the blacklist and the
+     * anti-whale limits, but no fee is taken from it and each recipient receives exactly its amount.
+     * The transfer fee is charged once, on the total sent to recipients the fee applies to, and paid by
+     * the caller on top of the amounts.
+     * @param recipients The addresses receiving the tokens
+     * @param amounts The amount each recipient receives
+     * @return True if the transfers succeeded
+     */
+    function multiTransfer(address[] calldata recipients, uint256[] calldata amounts)
+        external
+        returns (bool)
+    {
+        require(recipients.length == amounts.length, "Array length mismatch");
+
+        uint256 feeableAmount;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            address to = recipients[i];
+            if (to == address(0)) {
+                revert ERC20InvalidReceiver(address(0));
+            }
+            if (_isTransferFeeApplicable(msg.sender, to)) {
+                feeableAmount += amounts[i];
+            }
+            _move(msg.sender, to, amounts[i], false);
+        }
+
+        if (feeableAmount > 0) {
+            _chargeTransferFee(msg.sender, feeableAmount);
+        }
+        return true;
+    }
+
+    /**
+     * @notice Transfers tokens to a contract and calls {IERC1363Receiver-onTransferReceived} on it
+     * @dev Subject to the same blacklist and fee rules as {FibonToken-transfer}. The hook is told the net amount
+     * received after the transfer fee, and the transfer reverts if the hook rejects it.
+     * @param to The recipient contract
+     * @param amount The amount to transfer, fee included
+     */
+    function transferAndCall(address to, uint256 amount) external returns (bool) {
+        return transferAndCall(to, amount, "");
+    }
+
+    /**
+     * @notice Transfers tokens to a contract and calls {IERC1363Receiver-onTransferReceived} on it with `data`
+     * @param to The recipient contract
+     * @param amount The amount to transfer, fee included
+     * @param data Additional data passed to the recipient
+     */
+    function transferAndCall(address to, uint256 amount, bytes memory data) public returns (bool) {
+        uint256 netAmount = _transferWithFee(msg.sender, to, amount);
+        ERC1363Hooks.checkOnTransferReceived(msg.sender, msg.sender, to, netAmount, data);
+        return true;
+    }
+
+    /**
+     * @notice Transfers tokens from `from` to a contract using the allowance mechanism and calls
+     * {IERC1363Receiver-onTransferReceived} on it
+     * @dev Subject to the same blacklist and fee rules as {FibonToken-transferFrom}. The hook is told the net amount received.
+     * @param from The address to transfer from
+     * @param to The recipient contract
+     * @param amount The amount to transfer, fee included
+     */
+    function transferFromAndCall(address from, address to, uint256 amount) external returns (bool) {
+        return transferFromAndCall(from, to, amount, "");
+    }
+
+    /**
+     * @notice Transfers tokens from `from` to a contract using the allowance mechanism and calls
+     * {IERC1363Receiver-onTransferReceived} on it with `data`
+     * @param from The address to transfer from
+     * @param to The recipient contract
+     * @param amount The amount to transfer, fee included
+     * @param data Additional data passed to the recipient
+     */
+    function transferFromAndCall(address from, address to, uint256 amount, bytes memory data)
+        public
+        returns (bool)
+    {
+        uint256 netAmount = _transferFromSpender(from, to, amount);
+        ERC1363Hooks.checkOnTransferReceived(msg.sender, from, to, netAmount, data);
+        return true;
+    }
+
+    /**
+     * @notice Approves a contract to spend the caller's tokens and calls {IERC1363Spender-onApprovalReceived} on it
+     * @param spender The spender contract
+     * @param amount The amount to approve
+     */
+    function approveAndCall(address spender, uint256 amount) external returns (bool) {
+        return approveAndCall(spender, amount, "");
+    }
+
+    /**
+     * @notice Approves a contract to spend the caller's tokens and calls {IERC1363Spender-onApprovalReceived} on it with `data`
+     * @param spender The spender contract
+     * @param amount The amount to approve
+     * @param data Additional data passed to the spender
+     */
+    function approveAndCall(address spender, uint256 amount, bytes memory data) public returns (bool) {
+        approve(spender, amount);
+        ERC1363Hooks.checkOnApprovalReceived(msg.sender, spender, amount, data);
+        return true;
+    }
+
+    /**
+     * @notice Executes a transfer with a signed ERC-3009 authorization from the payer
+     * @dev Subject to the same blacklist and fee rules as {FibonToken-transfer}.
+     * @param from The payer's address (authorizer)
+     * @param to The payee's address
+     * @param value The amount to transfer, fee included
+     * @param validAfter The time after which the authorization is valid
+     * @param validBefore The time before which the authorization is valid
+     * @param nonce Unique random nonce chosen by the payer
+     */
+    function transferWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _useAuthorization(
+            TRANSFER_WITH_AUTHORIZATION_TYPEHASH, from, to, value, validAfter, validBefore, nonce, v, r, s
+        );
+        _transferWithAuthorization(from, to, value);
+    }
+
+    /**
+     * @notice Receives a transfer with a signed ERC-3009 authorization from the payer
+     * @dev The caller must be the payee, which protects against front-running of the authorization.
+     * @param from The payer's address (authorizer)
+     * @param to The payee's address, which must be the caller
+     * @param value The amount to transfer, fee included
+     * @param validAfter The time after which the authorization is valid
+     * @param validBefore The time before which the authorization is valid
+     * @param nonce Unique random nonce chosen by the payer
+     */
+    function receiveWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(to == msg.sender, "Caller must be the payee");
+        _useAuthorization(
+            RECEIVE_WITH_AUTHORIZATION_TYPEHASH, from, to, value, validAfter, validBefore, nonce, v, r, s
+        );
+        _transferWithAuthorization(from, to, value);
+    }
+
+    /**
+     * @notice Cancels an unused ERC-3009 authorization
+     * @param authorizer The authorizer's address
+     * @param nonce The nonce of the authorization to cancel
+     */
+    function cancelAuthorization(address authorizer, bytes32 nonce, uint8 v, bytes32 r, bytes32 s) external {
+        TransferAuthorization.cancelAuthorization(
+            _authorizationStates, _domainSeparatorV4(), CANCEL_AUTHORIZATION_TYPEHASH, authorizer, nonce, v, r, s
+        );
+        emit AuthorizationCanceled(authorizer, nonce);
+    }
+
+    /**
+     * @dev Validates an ERC-3009 authorization signed by `from` and marks its nonce as used.
+     */
+    function _useAuthorization(
+        bytes32 typeHash,
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        TransferAuthorization.useAuthorization(
+            _authorizationStates, _domainSeparatorV4(), typeHash, from, to, value, validAfter, validBefore, nonce, v, r, s
+        );
+        emit AuthorizationUsed(from, nonce);
+    }
+
+    /**
+     * @dev Moves tokens for an ERC-3009 authorization, refusing blacklisted relayers.
+     */
+    function _transferWithAuthorization(address from, address to, uint256 value) internal {
+        require(!isBlacklisted[msg.sender], "Caller is blacklisted");
+
+        _transfer(from, to, value);
+    }
+
+    /**
+     * @notice Flash mints `amount` tokens to `receiver` and burns them back at the end of the call (ERC-3156)
+     * @dev Adds the blacklist checks on the caller and the receiver to {ERC20FlashMintUpgradeable-flashLoan}.
+     * The flash fee is moved to the fee recipient with a regular transfer, so the transfer fee applies to it
+     * unless the receiver or the fee recipient is exempt.
+     * @param receiver The borrower, which receives the tokens and the {IERC3156FlashBorrower-onFlashLoan} callback
+     * @param token The token to borrow, which must be this token
+     * @param amount The amount of tokens to borrow
+     * @param data Additional data passed to the receiver
+     * @return True if the flash loan succeeded
+     */
+    function flashLoan(IERC3156FlashBorrower receiver, address token, uint256 amount, bytes calldata data)
+        public
+        override
+        returns (bool)
+    {
+        require(!isBlacklisted[msg.sender], "Sender is blacklisted");
+        require(!isBlacklisted[address(receiver)], "Receiver is blacklisted");
+        return super.flashLoan(receiver, token, amount, data);
+    }
+
+    /**
+     * @notice Returns the maximum amount of `token` that can be flash borrowed (ERC-3156)
+     * @dev Capped by the supply left under MAX_SUPPLY, so the supply never exceeds it even during a loan;
+     * flash loans do not count against the emission schedule.
+     * @param token The token to borrow
+     */
+    function maxFlashLoan(address token) public view override returns (uint256) {
+        return token == address(this) ? MAX_SUPPLY - totalSupply() : 0;
+    }
+
+    /**
+     * @dev Charges {flashFeePercent} of the borrowed amount.
+     */
+    function _flashFee(address, uint256 amount) internal view override returns (uint256) {
+        return (amount * flashFeePercent) / BASIS_POINTS;
+    }
+
+    /**
+     * @dev Sends flash fees to the fee recipient.
+     */
+    function _flashFeeReceiver() internal view override returns (address) {
+        return feeRecipient;
+    }
+
+    /**
+     * @dev Required override as ERC20FlashMint also inherits {ERC20Upgradeable}; the blacklist checks are
+     * applied by {FibonTokenBase-_approve}.
+     */
+    function _approve(address owner, address spender, uint256 value, bool emitEvent)
+        internal
+        override(ERC20Upgradeable, FibonTokenBase)
+    {
+        super._approve(owner, spender, value, emitEvent);
+    }
+
+    /**
+     * @dev Required override, see {_approve}; the blacklist checks are applied by {FibonTokenBase-_spendAllowance}.
+     */
+    function _spendAllowance(address owner, address spender, uint256 value)
+        internal
+        override(ERC20Upgradeable, FibonTokenBase)
+    {
+        super._spendAllowance(owner, spender, value);
+    }
+
+    /**
+     * @dev Required override, see {_approve}; the transfer rules are applied by {FibonTokenBase-_update}.
+     */
+    function _update(address from, address to, uint256 value)
+        internal
+        override(ERC20Upgradeable, FibonTokenBase)
+    {
+        super._update(from, to, value);
+    }
+
+    /**
+     * @dev Forwards calls to functions not implemented here to {extension}, running them against the
+     * token's storage. Reverts from the extension are bubbled up unchanged.
+     */
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    fallback() external {
+        _forward(extension);
+    }
+}
@@ -2,32 +2,76 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/utils/Context.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 
 /**
  * @title FibonMultiSig
  * @dev A multisignature wallet contract that allows multiple owners to confirm transactions before execution.
- * @notice Once deployed, the set of owners cannot be changed.
+ * @notice Owners and the number of required confirmations can only be changed by the wallet itself,
+ * through a transaction confirmed by the owners.
+ * Owners can also sign transactions off-chain (EIP-712, or ERC-1271 for contract owners) and have
+ * a relayer submit them with {executeWithSignatures}.
  */
-contract FibonMultiSig is Context {
-    /// @notice List of wallet owners. This list is immutable after contract deployment.
+contract FibonMultiSig is Context, EIP712 {
+    /// @notice Maximum number of owners.
+    uint public constant MAX_OWNER_COUNT = 50;
+
+    /// @notice Maximum timelock delay.
+    uint public constant MAX_DELAY = 30 days;
+
+    /// @notice EIP-712 typehash of a transaction signed off-chain by the owners.
+    bytes32 public constant EXECUTE_TYPEHASH =
+        keccak256("Execute(address destination,uint256 value,bytes data,uint256 nonce)");
+
+    /// @notice List of wallet owners.
     address[] public owners;
 
     /// @notice Mapping to check if an address is an owner.
     mapping(address => bool) public isOwner;
 
     /// @notice Number of required confirmations for transactions.
-    uint public immutable required;
+    uint public required;
 
     /// @notice Counter for transaction IDs.
     uint public transactionCount;
 
+    /// @notice Nonce of the next transaction signed off-chain, protecting signatures against replay.
+    uint public nonce;
+
+    /// @notice Time between a transaction reaching the required confirmations and it being allowed to execute.
+    uint public delay;
+
+    /// @notice Time after its eta during which a transaction can execute before it expires (0 = never expires).
+    uint public gracePeriod;
+
+    /// @notice Status of a transaction, as returned by {getTransactionStatus}.
+    enum TransactionStatus {
+        Pending,    // Waiting for confirmations.
+        Queued,     // Confirmed, waiting for the timelock delay to pass.
+        Ready,      // Confirmed and executable.
+        Executed,   // Executed.
+        Cancelled,  // Cancelled; can never execute.
+        Expired     // Not executed before its expiry; can never execute.
+    }
+
     /// @notice Struct to store transaction details.
     struct Transaction {
         address destination;   // Address to which the transaction is sent.
         uint value;            // Amount of Ether to send.
         bytes data;            // Data payload for the transaction.
         bool executed;         // Whether the transaction has been executed.
-        uint confirmations;    // Number of confirmations received.
+        uint confirmations;    // Number of confirmations received, including those of owners removed since.
+        bool cancelled;        // Whether the transaction has been cancelled. Cancelled transactions can never execute.
+        uint eta;              // Time from which the transaction can execute, set when it reaches the required confirmations.
+        uint expiry;           // Time after which the transaction can no longer execute (0 = never expires).
+    }
+
+    /// @notice Struct describing one call of a batch transaction.
+    struct Call {
+        address destination;   // Address to which the call is sent.
+        uint value;            // Amount of Ether to send.
+        bytes data;            // Data payload for the call.
     }
 
     /// @notice Mapping of transaction ID to Transaction object.
@@ -48,6 +92,72 @@ contract FibonMultiSig is Context {
     /// @notice Event emitted when a transaction execution fails.
     event ExecutionFailure(uint indexed transactionId);
 
+    /// @notice Event emitted for each call of a batch transaction, with the data it returned.
+    event BatchCallExecution(uint indexed index, address indexed destination, uint value, bytes result);
+
+    /// @notice Event emitted when an owner revokes a confirmation.
+    event Revocation(address indexed sender, uint indexed transactionId);
+
+    /// @notice Event emitted when a transaction is cancelled.
+    event Cancellation(uint indexed transactionId);
+
+    /// @notice Event emitted when a transaction reaches the required confirmations and is queued for execution.
+    event Queued(uint indexed transactionId, uint eta, uint expiry);
+
+    /// @notice Event emitted when the timelock delay or grace period changes.
+    event TimelockChange(uint delay, uint gracePeriod);
+
+    /// @notice Event emitted when an owner is added.
+    event OwnerAddition(address indexed owner);
+
+    /// @notice Event emitted when an owner is removed.
+    event OwnerRemoval(address indexed owner);
+
+    /// @notice Event emitted when the number of required confirmations changes.
+    event RequirementChange(uint required);
+
+    /// @notice Error raised when a call of a batch transaction fails, with its index and the data it reverted with.
+    error BatchCallFailed(uint index, bytes result);
+
+    /**
+     * @dev Throws if called by any account other than the wallet itself, i.e. outside of a confirmed transaction.
+     */
+    modifier onlyWallet() {
+        require(_msgSender() == address(this), "Only the wallet can call this function");
+        _;
+    }
+
+    /**
+     * @dev Throws if the address is already an owner.
+     * @param owner Address to check.
+     */
+    modifier ownerDoesNotExist(address owner) {
+        require(!isOwner[owner], "Owner already exists");
+        _;
+    }
+
+    /**
+     * @dev Throws if the address is not an owner.
+     * @param owner Address to check.
+     */
+    modifier ownerExists(address owner) {
+        require(isOwner[owner], "Owner does not exist");
+        _;
+    }
+
+    /**
+     * @dev Throws if the number of required confirmations is not valid for the number of owners.
+     * @param ownerCount Number of owners.
+     * @param _required Number of required confirmations.
+     */
+    modifier validRequirement(uint ownerCount, uint _required) {
+        require(
+            ownerCount <= MAX_OWNER_COUNT && _required <= ownerCount && _required > 0 && ownerCount > 0,
+            "Invalid required number of owners"
+        );
+        _;
+    }
+
     /**
      * @dev Throws if called by any account other than an owner.
      */
@@ -74,6 +184,25 @@ contract FibonMultiSig is Context {
         _;
     }
 
+    /**
+     * @dev Throws if the transaction has been cancelled.
+     * @param transactionId Transaction ID to check.
+     */
+    modifier notCancelled(uint transactionId) {
+        require(!transactions[transactionId].cancelled, "Transaction cancelled");
+        _;
+    }
+
+    /**
+     * @dev Throws if the transaction was queued and its expiry has passed. An expired transaction can
+     * never be confirmed, revoked or executed again, so it cannot be queued a second time.
+     * @param transactionId Transaction ID to check.
+     */
+    modifier notExpired(uint transactionId) {
+        require(!_isExpired(transactions[transactionId]), "Transaction expired");
+        _;
+    }
+
     /**
      * @dev Throws if the transaction has already been confirmed by the sender.
      * @param transactionId Transaction ID to check.
@@ -85,11 +214,13 @@ contract FibonMultiSig is Context {
 
     /**
      * @dev Initializes the contract by setting the owners and required number of confirmations.
-     * @param _owners List of initial owners. This list cannot be modified after deployment.
+     * @param _owners List of initial owners.
      * @param _required Number of required confirmations.
      */
-    constructor(address[] memory _owners, uint _required) {
-        require(_owners.length >= _required && _required > 0 && _owners.length > 0, "Invalid required number of owners");
+    constructor(address[] memory _owners, uint _required)
+        EIP712("FibonMultiSig", "1")
+        validRequirement(_owners.length, _required)
+    {
         for (uint i = 0; i < _owners.length; i++) {
             address owner = _owners[i];
             require(owner != address(0), "Invalid owner address: zero address");
@@ -111,34 +242,231 @@ contract FibonMultiSig is Context {
     function submitTransaction(address destination, uint value, bytes memory data) public payable onlyOwner returns (uint transactionId) {
         require(msg.value == value, "ETH value must match transaction value");
 
+        transactionId = _addTransaction(destination, value, data);
+        confirmTransaction(transactionId);
+    }
+
+    /**
+     * @notice Submits and confirms a batch transaction, whose calls are executed atomically.
+     * @dev The batch is recorded as a single transaction calling {executeBatch} on the wallet, so it is
+     * confirmed, timelocked and cancelled like any other transaction. If any call fails, the whole batch
+     * reverts and an ExecutionFailure event is emitted. The sent ETH must match the total value of the calls.
+     * @param calls Calls to execute, in order.
+     * @return transactionId The ID of the submitted transaction.
+     */
+    function submitBatchTransaction(Call[] memory calls) public payable onlyOwner returns (uint transactionId) {
+        require(calls.length > 0, "Empty batch");
+        uint totalValue = 0;
+        for (uint i = 0; i < calls.length; i++) {
+            totalValue += calls[i].value;
+        }
+        require(msg.value == totalValue, "ETH value must match transaction value");
+
+        transactionId = _addTransaction(address(this), 0, abi.encodeCall(this.executeBatch, (calls)));
+        confirmTransaction(transactionId);
+    }
+
+    /**
+     * @notice Executes the calls of a batch transaction in order, reverting all of them if one fails.
+     * @dev Can only be called by the wallet itself, through a confirmed batch transaction. A failing call
+     * reverts with {BatchCallFailed}; as the wallet only reports an ExecutionFailure, signers can find the
+     * failing call by simulating `executeBatch` from the wallet's address.
+     * @param calls Calls to execute, in order.
+     */
+    function executeBatch(Call[] memory calls) public onlyWallet {
+        for (uint i = 0; i < calls.length; i++) {
+            Call memory batchCall = calls[i];
+            (bool success, bytes memory result) = batchCall.destination.call{value: batchCall.value}(batchCall.data);
+            if (!success) {
+                revert BatchCallFailed(i, result);
+            }
+            emit BatchCallExecution(i, batchCall.destination, batchCall.value, result);
+        }
+    }
+
+    /**
+     * @notice Submits a transaction confirmed by owner signatures collected off-chain, and executes it
+     * once it can: immediately if no timelock delay applies, otherwise after its eta like any other transaction.
+     * @dev Anyone can relay the signatures. Each owner signs the EIP-712 `Execute` message for the
+     * destination, value, data and current {nonce} (see {getTransactionHash}); contract owners are
+     * checked with ERC-1271. Signers must be listed in ascending address order, which rules out
+     * duplicates. The ETH value is paid from the wallet's balance.
+     * @param destination Address to send the transaction to.
+     * @param value Amount of Ether to send.
+     * @param data Data payload for the transaction.
+     * @param signers Owners that signed the transaction, in ascending order.
+     * @param signatures Signature of each signer.
+     * @return transactionId The ID of the submitted transaction.
+     */
+    function executeWithSignatures(
+        address destination,
+        uint value,
+        bytes memory data,
+        address[] memory signers,
+        bytes[] memory signatures
+    ) public returns (uint transactionId) {
+        require(signers.length == signatures.length, "Signers and signatures length mismatch");
+        require(signers.length >= required, "Not enough signatures");
+
+        bytes32 digest = getTransactionHash(destination, value, data, nonce);
+        nonce += 1;
+        transactionId = _addTransaction(destination, value, data);
+
+        address lastSigner = address(0);
+        for (uint i = 0; i < signers.length; i++) {
+            address signer = signers[i];
+            require(signer > lastSigner, "Signers must be in ascending order");
+            require(isOwner[signer], "Not an owner");
+            require(SignatureChecker.isValidSignatureNow(signer, digest, signatures[i]), "Invalid signature");
+
+            confirmations[transactionId][signer] = true;
+            emit Confirmation(signer, transactionId);
+            lastSigner = signer;
+        }
+        transactions[transactionId].confirmations = signers.length;
+        _executeIfReady(transactionId);
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest owners sign to confirm a transaction off-chain.
+     * @param destination Address to send the transaction to.
+     * @param value Amount of Ether to send.
+     * @param data Data payload for the transaction.
+     * @param _nonce Nonce of the transaction.
+     * @return The digest to sign.
+     */
+    function getTransactionHash(address destination, uint value, bytes memory data, uint _nonce)
+        public
+        view
+        returns (bytes32)
+    {
+        return _hashTypedDataV4(keccak256(abi.encode(EXECUTE_TYPEHASH, destination, value, keccak256(data), _nonce)));
+    }
+
+    /**
+     * @dev Records a new transaction.
+     * @return transactionId The ID of the new transaction.
+     */
+    function _addTransaction(address destination, uint value, bytes memory data) private returns (uint transactionId) {
         transactionId = transactionCount;
         transactions[transactionId] = Transaction({
             destination: destination,
             value: value,
             data: data,
             executed: false,
-            confirmations: 0
+            confirmations: 0,
+            cancelled: false,
+            eta: 0,
+            expiry: 0
         });
         transactionCount += 1;
         emit Submission(transactionId);
-        confirmTransaction(transactionId);
     }
 
     /**
      * @notice Confirms a transaction.
-     * @dev Only an owner can call this function. The transaction must exist, not be executed, and not already be confirmed by the sender.
+     * @dev Only an owner can call this function. The transaction must exist, not be executed, cancelled or expired, and not already be confirmed by the sender.
      * @param transactionId The ID of the transaction to confirm.
      */
-    function confirmTransaction(uint transactionId) public onlyOwner transactionExists(transactionId) notExecuted(transactionId) notConfirmed(transactionId) {
+    function confirmTransaction(uint transactionId)
+        public
+        onlyOwner
+        transactionExists(transactionId)
+        notExecuted(transactionId)
+        notCancelled(transactionId)
+        notExpired(transactionId)
+        notConfirmed(transactionId)
+    {
         Transaction storage transaction = transactions[transactionId];
         transaction.confirmations += 1;
         confirmations[transactionId][_msgSender()] = true;
         emit Confirmation(_msgSender(), transactionId);
-        if (transaction.confirmations == required) {
-            executeTransaction(transactionId);
+        _executeIfReady(transactionId);
+    }
+
+    /**
+     * @dev Queues a transaction once it has the required confirmations, and executes it if its eta has passed.
+     * @param transactionId The ID of the transaction.
+     */
+    function _executeIfReady(uint transactionId) private {
+        Transaction storage transaction = transactions[transactionId];
+        if (isConfirmed(transactionId)) {
+            if (transaction.eta == 0) {
+                _queueTransaction(transactionId);
+            }
+            if (block.timestamp >= transaction.eta) {
+                executeTransaction(transactionId);
+            }
         }
     }
 
+    /**
+     * @dev Sets the eta and expiry of a transaction that reached the required confirmations.
+     * Cancellations are not delayed, so that a queued transaction can be cancelled before it becomes executable.
+     * @param transactionId The ID of the transaction to queue.
+     */
+    function _queueTransaction(uint transactionId) private {
+        Transaction storage transaction = transactions[transactionId];
+        transaction.eta = _isCancellation(transaction) ? block.timestamp : block.timestamp + delay;
+        transaction.expiry = gracePeriod == 0 ? 0 : transaction.eta + gracePeriod;
+        emit Queued(transactionId, transaction.eta, transaction.expiry);
+    }
+
+    /**
+     * @dev Returns whether a transaction is a call to {cancelTransaction} on the wallet itself.
+     * @param transaction The transaction to check.
+     */
+    function _isCancellation(Transaction storage transaction) private view returns (bool) {
+        bytes memory data = transaction.data;
+        return transaction.destination == address(this)
+            && data.length >= 4
+            && bytes4(data) == this.cancelTransaction.selector;
+    }
+
+    /**
+     * @notice Revokes a confirmation of a pending transaction.
+     * @dev Only an owner that confirmed the transaction can call this function, and only until the
+     * transaction expires.
+     * @param transactionId The ID of the transaction.
+     */
+    function revokeConfirmation(uint transactionId)
+        public
+        onlyOwner
+        transactionExists(transactionId)
+        notExecuted(transactionId)
+        notCancelled(transactionId)
+        notExpired(transactionId)
+    {
+        require(confirmations[transactionId][_msgSender()], "Transaction not confirmed");
+        Transaction storage transaction = transactions[transactionId];
+        transaction.confirmations -= 1;
+        confirmations[transactionId][_msgSender()] = false;
+        emit Revocation(_msgSender(), transactionId);
+
+        if (!isConfirmed(transactionId)) {
+            transaction.eta = 0;
+            transaction.expiry = 0;
+        }
+    }
+
+    /**
+     * @notice Cancels a pending transaction so that it can never execute.
+     * @dev Can only be called by the wallet itself, so a cancellation needs the same quorum as any other
+     * transaction: submit a transaction calling `cancelTransaction` on the wallet and have it confirmed.
+     * Unlike other transactions, it executes as soon as it is confirmed, without waiting for the timelock delay.
+     * @param transactionId The ID of the transaction to cancel.
+     */
+    function cancelTransaction(uint transactionId)
+        public
+        onlyWallet
+        transactionExists(transactionId)
+        notExecuted(transactionId)
+        notCancelled(transactionId)
+    {
+        transactions[transactionId].cancelled = true;
+        emit Cancellation(transactionId);
+    }
+
     /**
      * @notice Submits a withdrawal transaction.
      * @dev Only an owner can call this function.
@@ -149,27 +477,32 @@ contract FibonMultiSig is Context {
     function submitWithdrawal(address payable destination, uint amount) public onlyOwner returns (uint transactionId) {
         require(address(this).balance >= amount, "Insufficient balance");
 
-        transactionId = transactionCount;
-        transactions[transactionId] = Transaction({
-            destination: destination,
-            value: amount,
-            data: "",
-            executed: false,
-            confirmations: 0
-        });
-        transactionCount += 1;
-        emit Submission(transactionId);
+        transactionId = _addTransaction(destination, amount, "");
         confirmTransaction(transactionId);
     }
 
     /**
      * @notice Executes a transaction if it has enough confirmations.
-     * @dev The transaction must exist, not be executed, and have enough confirmations.
+     * @dev The transaction must exist, not be executed or cancelled, and have enough confirmations.
+     * Once confirmed, it can only execute between its eta and its expiry.
      * @param transactionId The ID of the transaction to execute.
      */
-    function executeTransaction(uint transactionId) public transactionExists(transactionId) notExecuted(transactionId) {
+    function executeTransaction(uint transactionId)
+        public
+        transactionExists(transactionId)
+        notExecuted(transactionId)
+        notCancelled(transactionId)
+        notExpired(transactionId)
+    {
         Transaction storage transaction = transactions[transactionId];
-        if (transaction.confirmations >= required) {
+        if (isConfirmed(transactionId)) {
+            if (transaction.eta == 0) {
+                _queueTransaction(transactionId);
+                if (block.timestamp < transaction.eta) {
+                    return;
+                }
+            }
+            require(block.timestamp >= transaction.eta, "Transaction is timelocked");
             transaction.executed = true;
             (bool success, ) = transaction.destination.call{value: transaction.value}(transaction.data);
             if (success)
@@ -181,6 +514,241 @@ contract FibonMultiSig is Context {
         }
     }
 
+    /**
+     * @notice Returns whether a transaction has the required number of confirmations from current owners.
+     * @dev Confirmations given by owners that have since been removed are not counted.
+     * @param transactionId The ID of the transaction to check.
+     * @return True if the transaction is confirmed.
+     */
+    function isConfirmed(uint transactionId) public view returns (bool) {
+        uint count = 0;
+        for (uint i = 0; i < owners.length; i++) {
+            if (confirmations[transactionId][owners[i]]) {
+                count += 1;
+            }
+            if (count == required) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @notice Returns the list of owners.
+     * @return The addresses of the owners.
+     */
+    function getOwners() public view returns (address[] memory) {
+        return owners;
+    }
+
+    /**
+     * @notice Returns the number of confirmations of a transaction by current owners.
+     * @param transactionId The ID of the transaction.
+     * @return count The number of confirmations.
+     */
+    function getConfirmationCount(uint transactionId) public view returns (uint count) {
+        for (uint i = 0; i < owners.length; i++) {
+            if (confirmations[transactionId][owners[i]]) {
+                count += 1;
+            }
+        }
+    }
+
+    /**
+     * @notice Returns the current owners that confirmed a transaction.
+     * @param transactionId The ID of the transaction.
+     * @return _confirmations The addresses of the owners that confirmed the transaction.
+     */
+    function getConfirmations(uint transactionId) public view returns (address[] memory _confirmations) {
+        _confirmations = new address[](getConfirmationCount(transactionId));
+        uint count = 0;
+        for (uint i = 0; i < owners.length; i++) {
+            if (confirmations[transactionId][owners[i]]) {
+                _confirmations[count] = owners[i];
+                count += 1;
+            }
+        }
+    }
+
+    /**
+     * @notice Returns the number of transactions matching the filters.
+     * @dev Pending transactions are those neither executed, cancelled nor expired; cancelled and expired
+     * transactions match neither filter.
+     * @param pending Whether to include pending transactions.
+     * @param executed Whether to include executed transactions.
+     * @return count The number of matching transactions.
+     */
+    function getTransactionCount(bool pending, bool executed) public view returns (uint count) {
+        for (uint i = 0; i < transactionCount; i++) {
+            if (_matchesFilter(transactions[i], pending, executed)) {
+                count += 1;
+            }
+        }
+    }
+
+    /**
+     * @notice Returns a page of the IDs of the transactions matching the filters.
+     * @dev `from` and `to` index the list of matching transactions, ordered by ID; `to` is exclusive and
+     * capped at the number of matching transactions (see {getTransactionCount}).
+     * @param from Index of the first matching transaction to return.
+     * @param to Index after the last matching transaction to return.
+     * @param pending Whether to include pending transactions.
+     * @param executed Whether to include executed transactions.
+     * @return _transactionIds The IDs of the matching transactions in the page.
+     */
+    function getTransactionIds(uint from, uint to, bool pending, bool executed)
+        public
+        view
+        returns (uint[] memory _transactionIds)
+    {
+        uint count = getTransactionCount(pending, executed);
+        if (to > count) {
+            to = count;
+        }
+        require(from <= to, "Invalid range");
+
+        _transactionIds = new uint[](to - from);
+        uint index = 0;
+        for (uint i = 0; i < transactionCount && index < to; i++) {
+            if (_matchesFilter(transactions[i], pending, executed)) {
+                if (index >= from) {
+                    _transactionIds[index - from] = i;
+                }
+                index += 1;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns whether a transaction matches the pending and executed filters of {getTransactionIds}.
+     */
+    function _matchesFilter(Transaction storage transaction, bool pending, bool executed) private view returns (bool) {
+        if (transaction.executed) {
+            return executed;
+        }
+        return pending && !transaction.cancelled && !_isExpired(transaction);
+    }
+
+    /**
+     * @dev Returns whether a transaction was queued and its expiry has passed.
+     */
+    function _isExpired(Transaction storage transaction) private view returns (bool) {
+        return transaction.expiry != 0 && block.timestamp > transaction.expiry;
+    }
+
+    /**
+     * @notice Returns the status of a transaction.
+     * @dev The eta and expiry of a transaction are available through {transactions}.
+     * @param transactionId The ID of the transaction.
+     * @return The status of the transaction.
+     */
+    function getTransactionStatus(uint transactionId) public view transactionExists(transactionId) returns (TransactionStatus) {
+        Transaction storage transaction = transactions[transactionId];
+        if (transaction.executed) {
+            return TransactionStatus.Executed;
+        }
+        if (transaction.cancelled) {
+            return TransactionStatus.Cancelled;
+        }
+        if (_isExpired(transaction)) {
+            return TransactionStatus.Expired;
+        }
+        if (!isConfirmed(transactionId) || transaction.eta == 0) {
+            return TransactionStatus.Pending;
+        }
+        if (block.timestamp < transaction.eta) {
+            return TransactionStatus.Queued;
+        }
+        return TransactionStatus.Ready;
+    }
+
+    /**
+     * @notice Changes the timelock of transactions reaching the required confirmations from now on.
+     * @dev Can only be called by the wallet itself, through a confirmed transaction.
+     * @param _delay Time between a transaction reaching the required confirmations and it being allowed to execute.
+     * @param _gracePeriod Time after its eta during which a transaction can execute (0 = never expires).
+     */
+    function changeTimelock(uint _delay, uint _gracePeriod) public onlyWallet {
+        require(_delay <= MAX_DELAY, "Delay exceeds maximum");
+        delay = _delay;
+        gracePeriod = _gracePeriod;
+        emit TimelockChange(_delay, _gracePeriod);
+    }
+
+    /**
+     * @notice Adds a new owner.
+     * @dev Can only be called by the wallet itself, through a confirmed transaction.
+     * @param owner Address of the new owner.
+     */
+    function addOwner(address owner)
+        public
+        onlyWallet
+        ownerDoesNotExist(owner)
+        validRequirement(owners.length + 1, required)
+    {
+        require(owner != address(0), "Invalid owner address: zero address");
+        isOwner[owner] = true;
+        owners.push(owner);
+        emit OwnerAddition(owner);
+    }
+
+    /**
+     * @notice Removes an owner, lowering the number of required confirmations if it would exceed the number of owners.
+     * @dev Can only be called by the wallet itself, through a confirmed transaction. The last owner cannot be removed.
+     * @param owner Address of the owner to remove.
+     */
+    function removeOwner(address owner) public onlyWallet ownerExists(owner) {
+        require(owners.length > 1, "Cannot remove the last owner");
+        isOwner[owner] = false;
+        for (uint i = 0; i < owners.length; i++) {
+            if (owners[i] == owner) {
+                owners[i] = owners[owners.length - 1];
+                owners.pop();
+                break;
+            }
+        }
+        emit OwnerRemoval(owner);
+        if (required > owners.length) {
+            changeRequirement(owners.length);
+        }
+    }
+
+    /**
+     * @notice Replaces an owner with a new owner.
+     * @dev Can only be called by the wallet itself, through a confirmed transaction.
+     * Confirmations given by the replaced owner are not transferred to the new owner.
+     * @param owner Address of the owner to replace.
+     * @param newOwner Address of the new owner.
+     */
+    function replaceOwner(address owner, address newOwner)
+        public
+        onlyWallet
+        ownerExists(owner)
+        ownerDoesNotExist(newOwner)
+    {
+        require(newOwner != address(0), "Invalid owner address: zero address");
+        for (uint i = 0; i < owners.length; i++) {
+            if (owners[i] == owner) {
+                owners[i] = newOwner;
+                break;
+            }
+        }
+        isOwner[owner] = false;
+        isOwner[newOwner] = true;
+        emit OwnerRemoval(owner);
+        emit OwnerAddition(newOwner);
+    }
+
+    /**
+     * @notice Changes the number of required confirmations.
+     * @dev Can only be called by the wallet itself, through a confirmed transaction.
+     * @param _required New number of required confirmations.
+     */
+    function changeRequirement(uint _required) public onlyWallet validRequirement(owners.length, _required) {
+        required = _required;
+        emit RequirementChange(_required);
+    }
+
     /**
      * @notice Receive function to accept Ether.
      * @dev Emits a Deposit event when ETH is received.
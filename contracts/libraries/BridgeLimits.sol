@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title BridgeLimits
+ * @dev Rate limits of the bridges allowed to mint and burn {FibonToken} (xERC20 style). Each limit
+ * refills linearly up to its maximum over {DURATION}. Linked into {FibonTokenTransferExtension} and
+ * {FibonTokenExtension}.
+ */
+library BridgeLimits {
+    /// @notice Time it takes for a fully used limit to refill
+    uint256 public constant DURATION = 1 days;
+
+    /// @dev Minting or burning limit of a bridge
+    struct Limit {
+        uint256 timestamp;
+        uint256 ratePerSecond;
+        uint256 maxLimit;
+        uint256 currentLimit;
+    }
+
+    /// @dev Minting and burning limits of a bridge
+    struct Bridge {
+        Limit minting;
+        Limit burning;
+    }
+
+    /**
+     * @notice Changes the maximum of a limit, moving the current limit by the same amount
+     * @param limit The limit to update
+     * @param maxLimit The new maximum
+     */
+    function setMaxLimit(Limit storage limit, uint256 maxLimit) external {
+        uint256 oldMaxLimit = limit.maxLimit;
+        uint256 available = _currentLimit(limit);
+
+        if (oldMaxLimit > maxLimit) {
+            uint256 difference = oldMaxLimit - maxLimit;
+            available = available > difference ? available - difference : 0;
+        } else {
+            available += maxLimit - oldMaxLimit;
+        }
+
+        limit.maxLimit = maxLimit;
+        limit.currentLimit = available;
+        limit.ratePerSecond = maxLimit / DURATION;
+        limit.timestamp = block.timestamp;
+    }
+
+    /**
+     * @notice Uses `amount` of a limit, reverting if it exceeds what is currently available
+     * @param limit The limit to use
+     * @param amount The amount minted or burned
+     */
+    function useLimit(Limit storage limit, uint256 amount) external {
+        uint256 available = _currentLimit(limit);
+        require(amount <= available, "Bridge limit exceeded");
+
+        limit.currentLimit = available - amount;
+        limit.timestamp = block.timestamp;
+    }
+
+    /**
+     * @notice Returns the amount of a limit currently available
+     * @param limit The limit to query
+     */
+    function currentLimit(Limit storage limit) external view returns (uint256) {
+        return _currentLimit(limit);
+    }
+
+    function _currentLimit(Limit storage limit) private view returns (uint256) {
+        uint256 maxLimit = limit.maxLimit;
+        uint256 current = limit.currentLimit;
+        if (current == maxLimit) {
+            return current;
+        }
+        if (limit.timestamp + DURATION <= block.timestamp) {
+            return maxLimit;
+        }
+
+        uint256 refilled = current + (block.timestamp - limit.timestamp) * limit.ratePerSecond;
+        return refilled > maxLimit ? maxLimit : refilled;
+    }
+}
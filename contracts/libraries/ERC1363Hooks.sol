@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/interfaces/IERC1363Receiver.sol";
+import "@openzeppelin/contracts/interfaces/IERC1363Spender.sol";
+
+/**
+ * @title ERC1363Hooks
+ * @dev Calls to the ERC-1363 receiver and spender hooks for {FibonToken}, linked into
+ * {FibonTokenTransferExtension}. As the library is delegatecalled, the hooks see the token as `msg.sender`.
+ */
+library ERC1363Hooks {
+    /**
+     * @notice Calls {IERC1363Receiver-onTransferReceived} on `to`, reverting if it is not a contract or rejects the transfer
+     * @param operator The address which called `transferAndCall` or `transferFromAndCall`
+     * @param from The address the tokens were transferred from
+     * @param to The recipient of the tokens
+     * @param value The amount received by `to`
+     * @param data Additional data passed to the recipient
+     */
+    function checkOnTransferReceived(
+        address operator,
+        address from,
+        address to,
+        uint256 value,
+        bytes memory data
+    ) external {
+        require(to.code.length > 0, "Receiver is not a contract");
+
+        try IERC1363Receiver(to).onTransferReceived(operator, from, value, data) returns (bytes4 retval) {
+            require(retval == IERC1363Receiver.onTransferReceived.selector, "Receiver rejected tokens");
+        } catch (bytes memory reason) {
+            _revertWith(reason, "Receiver rejected tokens");
+        }
+    }
+
+    /**
+     * @notice Calls {IERC1363Spender-onApprovalReceived} on `spender`, reverting if it is not a contract or rejects the approval
+     * @param owner The address which called `approveAndCall`
+     * @param spender The address allowed to spend the tokens
+     * @param value The approved amount
+     * @param data Additional data passed to the spender
+     */
+    function checkOnApprovalReceived(
+        address owner,
+        address spender,
+        uint256 value,
+        bytes memory data
+    ) external {
+        require(spender.code.length > 0, "Spender is not a contract");
+
+        try IERC1363Spender(spender).onApprovalReceived(owner, value, data) returns (bytes4 retval) {
+            require(retval == IERC1363Spender.onApprovalReceived.selector, "Spender rejected approval");
+        } catch (bytes memory reason) {
+            _revertWith(reason, "Spender rejected approval");
+        }
+    }
+
+    /**
+     * @dev Bubbles up the revert reason of a hook, or reverts with `message` if there is none.
+     */
+    function _revertWith(bytes memory reason, string memory message) private pure {
+        if (reason.length == 0) {
+            revert(message);
+        }
+        assembly {
+            revert(add(32, reason), mload(reason))
+        }
+    }
+}
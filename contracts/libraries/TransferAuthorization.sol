@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title TransferAuthorization
+ * @dev Validation of ERC-3009 authorizations for {FibonToken}, linked into {FibonTokenTransferExtension}.
+ * Nonce states are stored by the token and passed in as a storage reference.
+ */
+library TransferAuthorization {
+    /**
+     * @notice Validates a transfer or receive authorization signed by `from` and marks its nonce as used
+     * @param states The token's authorizer => nonce => used-or-canceled mapping
+     * @param domainSeparator The token's EIP-712 domain separator
+     * @param typeHash The EIP-712 typehash of the authorization
+     */
+    function useAuthorization(
+        mapping(address => mapping(bytes32 => bool)) storage states,
+        bytes32 domainSeparator,
+        bytes32 typeHash,
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp > validAfter, "Authorization is not yet valid");
+        require(block.timestamp < validBefore, "Authorization is expired");
+        require(!states[from][nonce], "Authorization is used or canceled");
+
+        bytes32 structHash = keccak256(abi.encode(typeHash, from, to, value, validAfter, validBefore, nonce));
+        _verify(domainSeparator, structHash, from, v, r, s);
+
+        states[from][nonce] = true;
+    }
+
+    /**
+     * @notice Validates a cancellation signed by `authorizer` and marks the nonce as canceled
+     * @param states The token's authorizer => nonce => used-or-canceled mapping
+     * @param domainSeparator The token's EIP-712 domain separator
+     * @param typeHash The EIP-712 typehash of the cancellation
+     */
+    function cancelAuthorization(
+        mapping(address => mapping(bytes32 => bool)) storage states,
+        bytes32 domainSeparator,
+        bytes32 typeHash,
+        address authorizer,
+        bytes32 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(!states[authorizer][nonce], "Authorization is used or canceled");
+
+        _verify(domainSeparator, keccak256(abi.encode(typeHash, authorizer, nonce)), authorizer, v, r, s);
+
+        states[authorizer][nonce] = true;
+    }
+
+    function _verify(
+        bytes32 domainSeparator,
+        bytes32 structHash,
+        address signer,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) private pure {
+        bytes32 digest = MessageHashUtils.toTypedDataHash(domainSeparator, structHash);
+        require(ECDSA.recover(digest, v, r, s) == signer, "Invalid signature");
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title ERC1271WalletMock
+ * @dev Mock smart contract wallet used to test contract owners of FibonMultiSig.
+ * Accepts signatures made by its owner key.
+ */
+contract ERC1271WalletMock is IERC1271 {
+    address private immutable _owner;
+
+    /**
+     * @param owner Key whose signatures the wallet accepts
+     */
+    constructor(address owner) {
+        _owner = owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes memory signature) external view override returns (bytes4) {
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        return error == ECDSA.RecoverError.NoError && recovered == _owner ? this.isValidSignature.selector : bytes4(0);
+    }
+}
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/interfaces/IERC1363Receiver.sol";
+import "@openzeppelin/contracts/interfaces/IERC1363Spender.sol";
+
+/**
+ * @title ERC1363ReceiverMock
+ * @dev Mock ERC-1363 receiver and spender used to test FibonToken's transferAndCall and approveAndCall.
+ * Returns the configured value from each hook, or reverts when `reverts` is set.
+ */
+contract ERC1363ReceiverMock is IERC1363Receiver, IERC1363Spender {
+    bytes4 private immutable _transferRetval;
+    bytes4 private immutable _approvalRetval;
+    bool private immutable _reverts;
+
+    /// @notice Event emitted when the transfer hook is called
+    event Received(address token, address operator, address from, uint256 value, bytes data);
+
+    /// @notice Event emitted when the approval hook is called
+    event Approved(address token, address owner, uint256 value, bytes data);
+
+    /**
+     * @param transferRetval Value returned by onTransferReceived
+     * @param approvalRetval Value returned by onApprovalReceived
+     * @param reverts Whether the hooks revert
+     */
+    constructor(bytes4 transferRetval, bytes4 approvalRetval, bool reverts) {
+        _transferRetval = transferRetval;
+        _approvalRetval = approvalRetval;
+        _reverts = reverts;
+    }
+
+    function onTransferReceived(address operator, address from, uint256 value, bytes memory data)
+        external
+        override
+        returns (bytes4)
+    {
+        require(!_reverts, "ERC1363ReceiverMock: reverting");
+        emit Received(msg.sender, operator, from, value, data);
+        return _transferRetval;
+    }
+
+    function onApprovalReceived(address owner, uint256 value, bytes memory data)
+        external
+        override
+        returns (bytes4)
+    {
+        require(!_reverts, "ERC1363ReceiverMock: reverting");
+        emit Approved(msg.sender, owner, value, data);
+        return _approvalRetval;
+    }
+}
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title ERC3156FlashBorrowerMock
+ * @dev Mock ERC-3156 borrower used to test FibonToken's flash loans. Approves the repayment when
+ * `approvesRepayment` is set and returns the ERC-3156 success value when `returnsSuccess` is set.
+ */
+contract ERC3156FlashBorrowerMock is IERC3156FlashBorrower {
+    bytes32 private constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    bool private immutable _approvesRepayment;
+    bool private immutable _returnsSuccess;
+
+    /// @notice Event emitted when the flash loan callback is called
+    event FlashLoanReceived(address token, address initiator, uint256 amount, uint256 fee, uint256 balance, uint256 totalSupply);
+
+    /**
+     * @param approvesRepayment Whether the callback approves the token for the amount plus the fee
+     * @param returnsSuccess Whether the callback returns the ERC-3156 success value
+     */
+    constructor(bool approvesRepayment, bool returnsSuccess) {
+        _approvesRepayment = approvesRepayment;
+        _returnsSuccess = returnsSuccess;
+    }
+
+    function onFlashLoan(address initiator, address token, uint256 amount, uint256 fee, bytes calldata)
+        external
+        override
+        returns (bytes32)
+    {
+        emit FlashLoanReceived(
+            token,
+            initiator,
+            amount,
+            fee,
+            IERC20(token).balanceOf(address(this)),
+            IERC20(token).totalSupply()
+        );
+
+        if (_approvesRepayment) {
+            IERC20(token).approve(token, amount + fee);
+        }
+        return _returnsSuccess ? CALLBACK_SUCCESS : bytes32(0);
+    }
+}
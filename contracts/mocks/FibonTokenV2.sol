@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../FibonToken.sol";
+
+/**
+ * @title FibonTokenV2
+ * @dev Mock implementation used to test upgrades of FibonToken behind the proxy.
+ */
+contract FibonTokenV2 is FibonToken {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension) FibonToken(_extension) {}
+
+    /**
+     * @notice Returns the implementation version.
+     */
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -1,4 +1,35 @@
 require("@nomicfoundation/hardhat-toolbox");
+const { subtask, task } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+// The ABI of the token is the union of FibonToken and its two extensions (see FibonTokenStorage.sol);
+// entries present in several of them are listed once.
+subtask("fibon-token-abi", "Returns the combined ABI of FibonToken and its extensions")
+  .setAction(async (_, { artifacts, ethers }) => {
+    const keyOf = (entry) => entry.type === "function" || entry.type === "event" || entry.type === "error"
+      ? ethers.Fragment.from(entry).format("sighash")
+      : entry.type;
+
+    const abi = [];
+    const keys = new Set();
+    for (const name of ["FibonToken", "FibonTokenTransferExtension", "FibonTokenExtension"]) {
+      const entries = (await artifacts.readArtifact(name)).abi.filter((entry) => !keys.has(keyOf(entry)));
+      entries.forEach((entry) => keys.add(keyOf(entry)));
+      abi.push(...entries);
+    }
+    return abi;
+  });
+
+task("export-abi", "Writes the combined ABI of the FibonToken proxy to abi/FibonToken.json")
+  .setAction(async (_, hre) => {
+    await hre.run("compile");
+    const abi = await hre.run("fibon-token-abi");
+    const file = path.join(hre.config.paths.root, "abi", "FibonToken.json");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(abi, null, 2) + "\n");
+    console.log(`Wrote ${abi.length} ABI entries to ${path.relative(hre.config.paths.root, file)}`);
+  });
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -1,7 +1,86 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const { expect } = require("chai");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
+async function deployLibrary(name) {
+    const Library = await ethers.getContractFactory(name);
+    const library = await Library.deploy();
+    await library.waitForDeployment();
+    return library.getAddress();
+}
+
+async function deployFibonTokenExtensions() {
+    const FibonTokenExtension = await ethers.getContractFactory("FibonTokenExtension", {
+        libraries: {
+            BridgeLimits: await deployLibrary("BridgeLimits")
+        }
+    });
+    const extension = await FibonTokenExtension.deploy();
+    await extension.waitForDeployment();
+
+    const FibonTokenTransferExtension = await ethers.getContractFactory("FibonTokenTransferExtension", {
+        libraries: {
+            BridgeLimits: await deployLibrary("BridgeLimits"),
+            ERC1363Hooks: await deployLibrary("ERC1363Hooks"),
+            TransferAuthorization: await deployLibrary("TransferAuthorization")
+        }
+    });
+    const transferExtension = await FibonTokenTransferExtension.deploy(await extension.getAddress());
+    await transferExtension.waitForDeployment();
+    return transferExtension;
+}
+
+async function deployFibonToken(initialOwner) {
+    const transferExtension = await deployFibonTokenExtensions();
+    const FibonToken = await ethers.getContractFactory("FibonToken");
+    const implementation = await FibonToken.deploy(await transferExtension.getAddress());
+    await implementation.waitForDeployment();
+
+    const FibonProxy = await ethers.getContractFactory("FibonProxy");
+    const initData = FibonToken.interface.encodeFunctionData("initialize", [initialOwner]);
+    const proxy = await FibonProxy.deploy(await implementation.getAddress(), initData);
+    await proxy.waitForDeployment();
+
+    const abi = await hre.run("fibon-token-abi");
+    return new ethers.Contract(await proxy.getAddress(), abi, FibonToken.runner);
+}
+
+// Return values of ERC-1363 receivers and spenders accepting a transfer or an approval
+const RECEIVED_SELECTOR = "0x88a7ca5c";
+const APPROVED_SELECTOR = "0x7b04a2d0";
+
+async function deployReceiver(transferRetval = RECEIVED_SELECTOR, approvalRetval = APPROVED_SELECTOR, reverts = false) {
+    const ERC1363ReceiverMock = await ethers.getContractFactory("ERC1363ReceiverMock");
+    const mock = await ERC1363ReceiverMock.deploy(transferRetval, approvalRetval, reverts);
+    await mock.waitForDeployment();
+    return mock;
+}
+
+async function deployBorrower(approvesRepayment = true, returnsSuccess = true) {
+    const ERC3156FlashBorrowerMock = await ethers.getContractFactory("ERC3156FlashBorrowerMock");
+    const mock = await ERC3156FlashBorrowerMock.deploy(approvesRepayment, returnsSuccess);
+    await mock.waitForDeployment();
+    return mock;
+}
+
+// Submits a call to `target` (the token, the multisig itself or any other contract) through the multisig
+// and confirms it with a second owner, which executes it
+async function executeTokenCall(multisig, target, functionName, args) {
+    const [, submitter, confirmer] = await ethers.getSigners();
+    const data = target.interface.encodeFunctionData(functionName, args);
+    const txId = await multisig.transactionCount();
+    await multisig.connect(submitter).submitTransaction(await target.getAddress(), 0, data);
+    return multisig.connect(confirmer).confirmTransaction(txId);
+}
+
+// Submits `data` to `target` through the multisig from `signer`, confirmed by `signer` alone, and returns its ID
+async function submitOnly(multisig, signer, target, data) {
+    const txId = await multisig.transactionCount();
+    await multisig.connect(signer).submitTransaction(await ethers.resolveAddress(target), 0, data);
+    return txId;
+}
+
 describe("Fibon Token System", function () {
     let token, ico, vesting, multisig;
     let owner, addr1, addr2, addr3, addr4, addr5, addr6, addr7, addr8;
@@ -28,13 +107,11 @@ describe("Fibon Token System", function () {
             await multisig.waitForDeployment();
             console.log("MultiSig deployment confirmed");
 
-            const FibonToken = await ethers.getContractFactory("FibonToken");
-            token = await FibonToken.deploy(await multisig.getAddress());
-            await token.waitForDeployment();
+            token = await deployFibonToken(await multisig.getAddress());
             tokenAddress = await token.getAddress();
             console.log("Token deployed at:", tokenAddress);
 
-            startTime = Math.floor(Date.now() / 1000) + 3600;
+            startTime = (await time.latest()) + 3600;
             endTime = startTime + (30 * 24 * 3600);
 
             const FibonICO = await ethers.getContractFactory("FibonICO");
@@ -414,6 +491,581 @@ describe("Fibon Token System", function () {
         });
     });
 
+    describe("MultiSig Owner Management Tests", function () {
+        it("Should only allow the wallet itself to manage owners", async function () {
+            await expect(
+                multisig.connect(addr1).addOwner(addr4.address)
+            ).to.be.revertedWith("Only the wallet can call this function");
+            await expect(
+                multisig.connect(addr1).removeOwner(addr3.address)
+            ).to.be.revertedWith("Only the wallet can call this function");
+            await expect(
+                multisig.connect(addr1).replaceOwner(addr3.address, addr4.address)
+            ).to.be.revertedWith("Only the wallet can call this function");
+            await expect(
+                multisig.connect(addr1).changeRequirement(1)
+            ).to.be.revertedWith("Only the wallet can call this function");
+        });
+
+        it("Should add an owner through a confirmed transaction", async function () {
+            await expect(executeTokenCall(multisig, multisig, "addOwner", [addr4.address]))
+                .to.emit(multisig, "OwnerAddition")
+                .withArgs(addr4.address);
+
+            expect(await multisig.isOwner(addr4.address)).to.be.true;
+            expect(await multisig.owners(3)).to.equal(addr4.address);
+
+            await expect(executeTokenCall(multisig, multisig, "addOwner", [addr4.address]))
+                .to.emit(multisig, "ExecutionFailure");
+            await expect(executeTokenCall(multisig, multisig, "addOwner", [ethers.ZeroAddress]))
+                .to.emit(multisig, "ExecutionFailure");
+        });
+
+        it("Should remove an owner and lower the requirement when needed", async function () {
+            await expect(executeTokenCall(multisig, multisig, "removeOwner", [addr3.address]))
+                .to.emit(multisig, "OwnerRemoval")
+                .withArgs(addr3.address);
+            expect(await multisig.isOwner(addr3.address)).to.be.false;
+            expect(await multisig.required()).to.equal(2n);
+
+            await expect(
+                multisig.connect(addr3).submitTransaction(addr4.address, 0, "0x")
+            ).to.be.revertedWith("Not an owner");
+
+            await expect(executeTokenCall(multisig, multisig, "removeOwner", [addr2.address]))
+                .to.emit(multisig, "RequirementChange")
+                .withArgs(1n);
+            expect(await multisig.required()).to.equal(1n);
+            expect(await multisig.owners(0)).to.equal(addr1.address);
+        });
+
+        it("Should replace an owner without carrying over its confirmations", async function () {
+            const data = token.interface.encodeFunctionData("mint", [addr5.address, ethers.parseEther("1")]);
+            const pendingTxId = await submitOnly(multisig, addr3, tokenAddress, data);
+
+            await expect(executeTokenCall(multisig, multisig, "replaceOwner", [addr3.address, addr4.address]))
+                .to.emit(multisig, "OwnerRemoval")
+                .withArgs(addr3.address)
+                .and.to.emit(multisig, "OwnerAddition")
+                .withArgs(addr4.address);
+            expect(await multisig.owners(2)).to.equal(addr4.address);
+            expect(await multisig.isOwner(addr3.address)).to.be.false;
+
+            await multisig.connect(addr1).confirmTransaction(pendingTxId);
+            expect((await multisig.transactions(pendingTxId)).executed).to.be.false;
+
+            await multisig.connect(addr4).confirmTransaction(pendingTxId);
+            expect((await multisig.transactions(pendingTxId)).executed).to.be.true;
+            expect(await token.balanceOf(addr5.address)).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should change the requirement within the number of owners", async function () {
+            await expect(executeTokenCall(multisig, multisig, "changeRequirement", [3]))
+                .to.emit(multisig, "RequirementChange")
+                .withArgs(3n);
+            expect(await multisig.required()).to.equal(3n);
+
+            const txId = await multisig.transactionCount();
+            await executeTokenCall(multisig, multisig, "changeRequirement", [4]);
+            expect((await multisig.transactions(txId)).executed).to.be.false;
+            await expect(
+                multisig.connect(addr3).confirmTransaction(txId)
+            ).to.emit(multisig, "ExecutionFailure");
+            expect(await multisig.required()).to.equal(3n);
+        });
+    });
+
+    describe("MultiSig Revocation and Cancellation Tests", function () {
+        let mintData;
+
+        beforeEach(async function () {
+            mintData = token.interface.encodeFunctionData("mint", [addr5.address, ethers.parseEther("1")]);
+        });
+
+        it("Should let an owner revoke its confirmation of a pending transaction", async function () {
+            const txId = await submitOnly(multisig, addr1, tokenAddress, mintData);
+
+            await expect(multisig.connect(addr1).revokeConfirmation(txId))
+                .to.emit(multisig, "Revocation")
+                .withArgs(addr1.address, txId);
+            expect(await multisig.confirmations(txId, addr1.address)).to.be.false;
+            expect((await multisig.transactions(txId)).confirmations).to.equal(0n);
+
+            await multisig.connect(addr2).confirmTransaction(txId);
+            expect((await multisig.transactions(txId)).executed).to.be.false;
+
+            await multisig.connect(addr1).confirmTransaction(txId);
+            expect((await multisig.transactions(txId)).executed).to.be.true;
+            expect(await token.balanceOf(addr5.address)).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should reject invalid revocations", async function () {
+            const txId = await submitOnly(multisig, addr1, tokenAddress, mintData);
+
+            await expect(
+                multisig.connect(addr2).revokeConfirmation(txId)
+            ).to.be.revertedWith("Transaction not confirmed");
+            await expect(
+                multisig.connect(addr4).revokeConfirmation(txId)
+            ).to.be.revertedWith("Not an owner");
+            await expect(
+                multisig.connect(addr1).revokeConfirmation(txId + 1n)
+            ).to.be.revertedWith("Transaction does not exist");
+
+            await multisig.connect(addr2).confirmTransaction(txId);
+            await expect(
+                multisig.connect(addr1).revokeConfirmation(txId)
+            ).to.be.revertedWith("Transaction already executed");
+        });
+
+        it("Should cancel a pending transaction with a quorum of owners", async function () {
+            const badTxId = await submitOnly(multisig, addr3, tokenAddress, mintData);
+
+            const cancelData = multisig.interface.encodeFunctionData("cancelTransaction", [badTxId]);
+            const cancelTxId = await submitOnly(multisig, addr1, multisig, cancelData);
+            await expect(multisig.connect(addr2).confirmTransaction(cancelTxId))
+                .to.emit(multisig, "Cancellation")
+                .withArgs(badTxId);
+            expect((await multisig.transactions(badTxId)).cancelled).to.be.true;
+
+            await expect(
+                multisig.connect(addr1).confirmTransaction(badTxId)
+            ).to.be.revertedWith("Transaction cancelled");
+            await expect(
+                multisig.executeTransaction(badTxId)
+            ).to.be.revertedWith("Transaction cancelled");
+            await expect(
+                multisig.connect(addr3).revokeConfirmation(badTxId)
+            ).to.be.revertedWith("Transaction cancelled");
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+        });
+
+        it("Should only cancel pending transactions through the wallet", async function () {
+            const txId = await submitOnly(multisig, addr1, tokenAddress, mintData);
+            await expect(
+                multisig.connect(addr1).cancelTransaction(txId)
+            ).to.be.revertedWith("Only the wallet can call this function");
+
+            await multisig.connect(addr2).confirmTransaction(txId);
+            const cancelData = multisig.interface.encodeFunctionData("cancelTransaction", [txId]);
+            const cancelTxId = await submitOnly(multisig, addr1, multisig, cancelData);
+            await expect(
+                multisig.connect(addr2).confirmTransaction(cancelTxId)
+            ).to.emit(multisig, "ExecutionFailure");
+            expect((await multisig.transactions(txId)).cancelled).to.be.false;
+        });
+    });
+
+    describe("MultiSig Timelock Tests", function () {
+        let mintData;
+        const delay = 2 * 24 * 3600;
+        const gracePeriod = 7 * 24 * 3600;
+
+        beforeEach(async function () {
+            mintData = token.interface.encodeFunctionData("mint", [addr5.address, ethers.parseEther("1")]);
+            await executeTokenCall(multisig, multisig, "changeTimelock", [delay, gracePeriod]);
+        });
+
+        it("Should only let the wallet change the timelock", async function () {
+            expect(await multisig.delay()).to.equal(BigInt(delay));
+            expect(await multisig.gracePeriod()).to.equal(BigInt(gracePeriod));
+
+            await expect(
+                multisig.connect(addr1).changeTimelock(0, 0)
+            ).to.be.revertedWith("Only the wallet can call this function");
+        });
+
+        it("Should queue confirmed transactions until the delay has passed", async function () {
+            const txId = await submitOnly(multisig, addr1, tokenAddress, mintData);
+            expect(await multisig.getTransactionStatus(txId)).to.equal(0n); // Pending
+
+            await expect(multisig.connect(addr2).confirmTransaction(txId))
+                .to.emit(multisig, "Queued");
+            const transaction = await multisig.transactions(txId);
+            const now = BigInt(await time.latest());
+            expect(transaction.eta).to.equal(now + BigInt(delay));
+            expect(transaction.expiry).to.equal(now + BigInt(delay + gracePeriod));
+            expect(transaction.executed).to.be.false;
+            expect(await multisig.getTransactionStatus(txId)).to.equal(1n); // Queued
+
+            await expect(
+                multisig.executeTransaction(txId)
+            ).to.be.revertedWith("Transaction is timelocked");
+
+            await multisig.connect(addr3).confirmTransaction(txId);
+            expect((await multisig.transactions(txId)).executed).to.be.false;
+
+            await time.increaseTo(transaction.eta);
+            expect(await multisig.getTransactionStatus(txId)).to.equal(2n); // Ready
+            await expect(multisig.executeTransaction(txId))
+                .to.emit(multisig, "Execution")
+                .withArgs(txId);
+            expect(await token.balanceOf(addr5.address)).to.equal(ethers.parseEther("1"));
+            expect(await multisig.getTransactionStatus(txId)).to.equal(3n); // Executed
+        });
+
+        it("Should not execute transactions after their expiry", async function () {
+            const txId = await multisig.transactionCount();
+            await executeTokenCall(multisig, token, "mint", [addr5.address, ethers.parseEther("1")]);
+            const transaction = await multisig.transactions(txId);
+
+            await time.increaseTo(transaction.expiry + 1n);
+            expect(await multisig.getTransactionStatus(txId)).to.equal(5n); // Expired
+            await expect(
+                multisig.executeTransaction(txId)
+            ).to.be.revertedWith("Transaction expired");
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+        });
+
+        it("Should reset the eta when a confirmation is revoked", async function () {
+            const txId = await multisig.transactionCount();
+            await executeTokenCall(multisig, token, "mint", [addr5.address, ethers.parseEther("1")]);
+            await multisig.connect(addr2).revokeConfirmation(txId);
+
+            const transaction = await multisig.transactions(txId);
+            expect(transaction.eta).to.equal(0n);
+            expect(transaction.expiry).to.equal(0n);
+            expect(await multisig.getTransactionStatus(txId)).to.equal(0n); // Pending
+        });
+
+        it("Should not let an expired transaction be revoked and confirmed again", async function () {
+            const txId = await multisig.transactionCount();
+            await executeTokenCall(multisig, token, "mint", [addr5.address, ethers.parseEther("1")]);
+            const transaction = await multisig.transactions(txId);
+
+            await time.increaseTo(transaction.expiry + 1n);
+            await expect(
+                multisig.connect(addr2).revokeConfirmation(txId)
+            ).to.be.revertedWith("Transaction expired");
+            await expect(
+                multisig.connect(addr3).confirmTransaction(txId)
+            ).to.be.revertedWith("Transaction expired");
+
+            await time.increase(delay);
+            await expect(
+                multisig.executeTransaction(txId)
+            ).to.be.revertedWith("Transaction expired");
+            expect(await multisig.getTransactionStatus(txId)).to.equal(5n); // Expired
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+        });
+
+        it("Should cancel a transaction whose eta has passed before it can be executed", async function () {
+            const txId = await multisig.transactionCount();
+            await executeTokenCall(multisig, token, "mint", [addr5.address, ethers.parseEther("1")]);
+            await time.increaseTo((await multisig.transactions(txId)).eta);
+            expect(await multisig.getTransactionStatus(txId)).to.equal(2n); // Ready
+
+            const cancelData = multisig.interface.encodeFunctionData("cancelTransaction", [txId]);
+            const cancelTxId = await submitOnly(multisig, addr1, multisig, cancelData);
+            await expect(multisig.connect(addr2).confirmTransaction(cancelTxId))
+                .to.emit(multisig, "Execution")
+                .withArgs(cancelTxId);
+
+            expect(await multisig.getTransactionStatus(cancelTxId)).to.equal(3n); // Executed
+            expect(await multisig.getTransactionStatus(txId)).to.equal(4n); // Cancelled
+            await expect(
+                multisig.executeTransaction(txId)
+            ).to.be.revertedWith("Transaction cancelled");
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+        });
+
+        it("Should report cancelled transactions and cap the delay", async function () {
+            const txId = await multisig.transactionCount();
+            await executeTokenCall(multisig, token, "mint", [addr5.address, ethers.parseEther("1")]);
+
+            const cancelData = multisig.interface.encodeFunctionData("cancelTransaction", [txId]);
+            const cancelTxId = await submitOnly(multisig, addr1, multisig, cancelData);
+            await expect(multisig.connect(addr2).confirmTransaction(cancelTxId))
+                .to.emit(multisig, "Cancellation")
+                .withArgs(txId);
+            expect(await multisig.getTransactionStatus(txId)).to.equal(4n); // Cancelled
+
+            const maxDelay = await multisig.MAX_DELAY();
+            const timelockTxId = await multisig.transactionCount();
+            await executeTokenCall(multisig, multisig, "changeTimelock", [maxDelay + 1n, 0]);
+            await time.increase(delay);
+            await expect(
+                multisig.executeTransaction(timelockTxId)
+            ).to.emit(multisig, "ExecutionFailure");
+        });
+    });
+
+    describe("MultiSig Signature Execution Tests", function () {
+        let mintData;
+        const types = {
+            Execute: [
+                { name: "destination", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "data", type: "bytes" },
+                { name: "nonce", type: "uint256" }
+            ]
+        };
+
+        beforeEach(async function () {
+            mintData = token.interface.encodeFunctionData("mint", [addr5.address, ethers.parseEther("1")]);
+        });
+
+        async function signTransaction(wallet, signers, destination, value, data, nonce) {
+            const domain = {
+                name: "FibonMultiSig",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await wallet.getAddress()
+            };
+            const message = { destination, value, data, nonce };
+            const signed = await Promise.all(signers.map(async (signer) => ({
+                address: signer.address,
+                signature: await signer.signTypedData(domain, types, message)
+            })));
+            signed.sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+            return [signed.map((s) => s.address), signed.map((s) => s.signature)];
+        }
+
+        it("Should execute a transaction relayed with owner signatures", async function () {
+            const nonce = await multisig.nonce();
+            const [signers, signatures] = await signTransaction(multisig, [addr1, addr3], tokenAddress, 0n, mintData, nonce);
+            const txId = await multisig.transactionCount();
+
+            await expect(multisig.connect(addr6).executeWithSignatures(tokenAddress, 0, mintData, signers, signatures))
+                .to.emit(multisig, "Execution")
+                .withArgs(txId);
+
+            expect(await token.balanceOf(addr5.address)).to.equal(ethers.parseEther("1"));
+            expect(await multisig.nonce()).to.equal(nonce + 1n);
+            expect(await multisig.confirmations(txId, addr1.address)).to.be.true;
+            expect(await multisig.confirmations(txId, addr3.address)).to.be.true;
+            expect(await multisig.getTransactionHash(tokenAddress, 0, mintData, nonce)).to.not.equal(ethers.ZeroHash);
+        });
+
+        it("Should reject replayed, unsorted, duplicated and insufficient signatures", async function () {
+            const nonce = await multisig.nonce();
+            const [signers, signatures] = await signTransaction(multisig, [addr1, addr2], tokenAddress, 0n, mintData, nonce);
+            await multisig.executeWithSignatures(tokenAddress, 0, mintData, signers, signatures);
+
+            await expect(
+                multisig.executeWithSignatures(tokenAddress, 0, mintData, signers, signatures)
+            ).to.be.revertedWith("Invalid signature");
+
+            const [nextSigners, nextSignatures] = await signTransaction(multisig, [addr1, addr2], tokenAddress, 0n, mintData, nonce + 1n);
+            await expect(
+                multisig.executeWithSignatures(tokenAddress, 0, mintData, [...nextSigners].reverse(), [...nextSignatures].reverse())
+            ).to.be.revertedWith("Signers must be in ascending order");
+            await expect(
+                multisig.executeWithSignatures(
+                    tokenAddress, 0, mintData, [nextSigners[0], nextSigners[0]], [nextSignatures[0], nextSignatures[0]]
+                )
+            ).to.be.revertedWith("Signers must be in ascending order");
+            await expect(
+                multisig.executeWithSignatures(tokenAddress, 0, mintData, [nextSigners[0]], [nextSignatures[0]])
+            ).to.be.revertedWith("Not enough signatures");
+            await expect(
+                multisig.executeWithSignatures(tokenAddress, 0, mintData, nextSigners, [nextSignatures[0]])
+            ).to.be.revertedWith("Signers and signatures length mismatch");
+        });
+
+        it("Should reject signatures from non-owners or for other data", async function () {
+            const nonce = await multisig.nonce();
+            const [signers, signatures] = await signTransaction(multisig, [addr1, addr4], tokenAddress, 0n, mintData, nonce);
+            await expect(
+                multisig.executeWithSignatures(tokenAddress, 0, mintData, signers, signatures)
+            ).to.be.revertedWith("Not an owner");
+
+            const [ownerSigners, ownerSignatures] = await signTransaction(multisig, [addr1, addr2], tokenAddress, 0n, mintData, nonce);
+            const otherData = token.interface.encodeFunctionData("mint", [addr4.address, ethers.parseEther("1000")]);
+            await expect(
+                multisig.executeWithSignatures(tokenAddress, 0, otherData, ownerSigners, ownerSignatures)
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should accept ERC-1271 signatures from contract owners", async function () {
+            const ERC1271WalletMock = await ethers.getContractFactory("ERC1271WalletMock");
+            const contractOwner = await ERC1271WalletMock.deploy(addr4.address);
+            await contractOwner.waitForDeployment();
+            const contractOwnerAddress = await contractOwner.getAddress();
+
+            const FibonMultiSig = await ethers.getContractFactory("FibonMultiSig");
+            const wallet = await FibonMultiSig.deploy([addr1.address, contractOwnerAddress], 2);
+            await wallet.waitForDeployment();
+            const walletAddress = await wallet.getAddress();
+            await addr1.sendTransaction({ to: walletAddress, value: ethers.parseEther("1") });
+
+            const value = ethers.parseEther("1");
+            // addr4's key signs on behalf of the contract owner
+            const [keys, signatures] = await signTransaction(wallet, [addr1, addr4], addr5.address, value, "0x", 0n);
+            const entries = keys
+                .map((key, i) => [key === addr4.address ? contractOwnerAddress : key, signatures[i]])
+                .sort((a, b) => (BigInt(a[0]) < BigInt(b[0]) ? -1 : 1));
+
+            const balanceBefore = await ethers.provider.getBalance(addr5.address);
+            await wallet.connect(addr6).executeWithSignatures(
+                addr5.address, value, "0x", entries.map((e) => e[0]), entries.map((e) => e[1])
+            );
+            expect(await ethers.provider.getBalance(addr5.address)).to.equal(balanceBefore + value);
+        });
+
+        it("Should respect the timelock for transactions executed with signatures", async function () {
+            const delay = 24 * 3600;
+            await executeTokenCall(multisig, multisig, "changeTimelock", [delay, 0]);
+
+            const nonce = await multisig.nonce();
+            const [signers, signatures] = await signTransaction(multisig, [addr1, addr2], tokenAddress, 0n, mintData, nonce);
+            const txId = await multisig.transactionCount();
+            await expect(multisig.executeWithSignatures(tokenAddress, 0, mintData, signers, signatures))
+                .to.emit(multisig, "Queued");
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+
+            await time.increase(delay);
+            await multisig.executeTransaction(txId);
+            expect(await token.balanceOf(addr5.address)).to.equal(ethers.parseEther("1"));
+        });
+    });
+
+    describe("MultiSig Batch Transaction Tests", function () {
+        function mintCall(to, amount) {
+            return {
+                destination: tokenAddress,
+                value: 0n,
+                data: token.interface.encodeFunctionData("mint", [to, amount])
+            };
+        }
+
+        it("Should execute all calls of a confirmed batch and report each result", async function () {
+            const value = ethers.parseEther("1");
+            const calls = [
+                mintCall(addr5.address, ethers.parseEther("100")),
+                {
+                    destination: tokenAddress,
+                    value: 0n,
+                    data: token.interface.encodeFunctionData("blacklistAddress", [addr6.address])
+                },
+                { destination: addr7.address, value, data: "0x" }
+            ];
+            const balanceBefore = await ethers.provider.getBalance(addr7.address);
+
+            const txId = await multisig.transactionCount();
+            await multisig.connect(addr1).submitBatchTransaction(calls, { value });
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+
+            const confirmation = multisig.connect(addr2).confirmTransaction(txId);
+            await expect(confirmation).to.emit(multisig, "Execution").withArgs(txId);
+            await expect(confirmation).to.emit(multisig, "BatchCallExecution").withArgs(0n, tokenAddress, 0n, "0x");
+            await expect(confirmation).to.emit(multisig, "BatchCallExecution").withArgs(1n, tokenAddress, 0n, "0x");
+            await expect(confirmation).to.emit(multisig, "BatchCallExecution").withArgs(2n, addr7.address, value, "0x");
+
+            expect(await token.balanceOf(addr5.address)).to.equal(ethers.parseEther("100"));
+            expect(await token.isBlacklisted(addr6.address)).to.be.true;
+            expect(await ethers.provider.getBalance(addr7.address)).to.equal(balanceBefore + value);
+        });
+
+        it("Should revert the whole batch if any call fails", async function () {
+            const maxSupply = await token.MAX_SUPPLY();
+            const calls = [mintCall(addr5.address, ethers.parseEther("100")), mintCall(addr6.address, maxSupply)];
+
+            const txId = await multisig.transactionCount();
+            await multisig.connect(addr1).submitBatchTransaction(calls);
+            await expect(
+                multisig.connect(addr2).confirmTransaction(txId)
+            ).to.emit(multisig, "ExecutionFailure").withArgs(txId);
+
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+            expect((await multisig.transactions(txId)).executed).to.be.false;
+
+            // Simulating the batch from the wallet reports the failing call and its revert data
+            const reason = token.interface.encodeErrorResult("Error", ["Exceeds maximum token supply"]);
+            await expect(
+                multisig.connect(ethers.provider).executeBatch.staticCall(calls, { from: await multisig.getAddress() })
+            ).to.be.revertedWithCustomError(multisig, "BatchCallFailed").withArgs(1n, reason);
+        });
+
+        it("Should validate batch submissions and restrict executeBatch to the wallet", async function () {
+            await expect(
+                multisig.connect(addr1).submitBatchTransaction([])
+            ).to.be.revertedWith("Empty batch");
+            await expect(
+                multisig.connect(addr1).submitBatchTransaction([{ destination: addr7.address, value: 1n, data: "0x" }])
+            ).to.be.revertedWith("ETH value must match transaction value");
+            await expect(
+                multisig.connect(addr4).submitBatchTransaction([mintCall(addr5.address, 1n)])
+            ).to.be.revertedWith("Not an owner");
+            await expect(
+                multisig.connect(addr1).executeBatch([mintCall(addr5.address, 1n)])
+            ).to.be.revertedWith("Only the wallet can call this function");
+        });
+    });
+
+    describe("MultiSig View Tests", function () {
+        let mintData;
+
+        beforeEach(async function () {
+            mintData = token.interface.encodeFunctionData("mint", [addr5.address, ethers.parseEther("1")]);
+        });
+
+        it("Should return the owners", async function () {
+            expect(await multisig.getOwners()).to.deep.equal([addr1.address, addr2.address, addr3.address]);
+        });
+
+        it("Should return the confirmations of a transaction", async function () {
+            const txId = await submitOnly(multisig, addr3, tokenAddress, mintData);
+            expect(await multisig.getConfirmationCount(txId)).to.equal(1n);
+            expect(await multisig.getConfirmations(txId)).to.deep.equal([addr3.address]);
+
+            await multisig.connect(addr1).confirmTransaction(txId);
+            expect(await multisig.getConfirmationCount(txId)).to.equal(2n);
+            expect(await multisig.getConfirmations(txId)).to.deep.equal([addr1.address, addr3.address]);
+
+            const pendingTxId = await submitOnly(multisig, addr2, tokenAddress, mintData);
+            await multisig.connect(addr2).revokeConfirmation(pendingTxId);
+            expect(await multisig.getConfirmationCount(pendingTxId)).to.equal(0n);
+            expect(await multisig.getConfirmations(pendingTxId)).to.deep.equal([]);
+        });
+
+        it("Should filter and paginate transaction IDs", async function () {
+            // Transactions 0 and 2 are executed, 1, 3 and 4 are pending
+            for (let i = 0; i < 5; i++) {
+                const txId = await submitOnly(multisig, addr1, tokenAddress, mintData);
+                if (i % 2 === 0 && i < 4) {
+                    await multisig.connect(addr2).confirmTransaction(txId);
+                }
+            }
+
+            expect(await multisig.getTransactionCount(true, false)).to.equal(3n);
+            expect(await multisig.getTransactionCount(false, true)).to.equal(2n);
+            expect(await multisig.getTransactionCount(true, true)).to.equal(5n);
+
+            expect(await multisig.getTransactionIds(0, 10, true, false)).to.deep.equal([1n, 3n, 4n]);
+            expect(await multisig.getTransactionIds(0, 10, false, true)).to.deep.equal([0n, 2n]);
+            expect(await multisig.getTransactionIds(1, 3, true, true)).to.deep.equal([1n, 2n]);
+            expect(await multisig.getTransactionIds(2, 3, true, false)).to.deep.equal([4n]);
+            expect(await multisig.getTransactionIds(3, 3, true, false)).to.deep.equal([]);
+
+            await expect(
+                multisig.getTransactionIds(4, 10, true, false)
+            ).to.be.revertedWith("Invalid range");
+        });
+
+        it("Should leave cancelled transactions out of both filters", async function () {
+            const txId = await submitOnly(multisig, addr3, tokenAddress, mintData);
+            const cancelData = multisig.interface.encodeFunctionData("cancelTransaction", [txId]);
+            const cancelTxId = await submitOnly(multisig, addr1, multisig, cancelData);
+            await multisig.connect(addr2).confirmTransaction(cancelTxId);
+
+            expect(await multisig.getTransactionIds(0, 10, true, true)).to.deep.equal([cancelTxId]);
+            expect(await multisig.getTransactionCount(true, false)).to.equal(0n);
+
+            // Neither do queued transactions that have expired
+            const timelockTxId = await multisig.transactionCount();
+            await executeTokenCall(multisig, multisig, "changeTimelock", [3600, 3600]);
+            const queuedTxId = await submitOnly(multisig, addr1, tokenAddress, mintData);
+            await multisig.connect(addr2).confirmTransaction(queuedTxId);
+            expect(await multisig.getTransactionCount(true, false)).to.equal(1n);
+
+            await time.increase(2 * 3600 + 1);
+            expect(await multisig.getTransactionStatus(queuedTxId)).to.equal(5n); // Expired
+            expect(await multisig.getTransactionCount(true, false)).to.equal(0n);
+            expect(await multisig.getTransactionIds(0, 10, true, true)).to.deep.equal([cancelTxId, timelockTxId]);
+        });
+    });
+
     describe("Token Tests with MultiSig", function () {
         it("Should mint tokens through MultiSig", async function () {
             const mintAmount = ethers.parseEther("1000000");
@@ -724,9 +1376,7 @@ describe("Fibon Token System", function () {
             multisig = await FibonMultiSig.deploy(owners, 2);
             await multisig.waitForDeployment();
 
-            const FibonToken = await ethers.getContractFactory("FibonToken");
-            token = await FibonToken.deploy(await multisig.getAddress());
-            await token.waitForDeployment();
+            token = await deployFibonToken(await multisig.getAddress());
             tokenAddress = await token.getAddress();
 
             const FibonVesting = await ethers.getContractFactory("FibonVesting");
@@ -1241,9 +1891,7 @@ describe("Fibon Token System", function () {
         });
 
         it("Should recover mistakenly sent tokens", async function () {
-            const TestToken = await ethers.getContractFactory("FibonToken");
-            const testToken = await TestToken.deploy(await multisig.getAddress());
-            await testToken.waitForDeployment();
+            const testToken = await deployFibonToken(await multisig.getAddress());
 
             const mintData = testToken.interface.encodeFunctionData(
                 "mint",
@@ -1363,7 +2011,7 @@ describe("Fibon Token System", function () {
         });
 
         it("Should prevent permit operations involving blacklisted addresses", async function () {
-            const deadline = Math.floor(Date.now() / 1000) + 3600;
+            const deadline = (await time.latest()) + 3600;
             const value = ethers.parseEther("100");
 
             const domain = {
@@ -1408,6 +2056,110 @@ describe("Fibon Token System", function () {
         });
     });
 
+    describe("Token Blacklist Batch and Seizure Tests", function () {
+        const REASON_SANCTIONS = 1n;
+        const REASON_RESOLVED = 7n;
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("1000")]);
+        });
+
+        it("Should blacklist and unblacklist in batches with reason codes", async function () {
+            const accounts = [addr4.address, addr5.address, addr6.address];
+
+            const tx = executeTokenCall(multisig, token, "blacklistAddresses", [accounts, REASON_SANCTIONS]);
+            for (const account of accounts) {
+                await expect(tx).to.emit(token, "AddressBlacklisted").withArgs(account);
+                await expect(tx)
+                    .to.emit(token, "AddressBlacklistedWithReason")
+                    .withArgs(account, REASON_SANCTIONS);
+            }
+            for (const account of accounts) {
+                expect(await token.isBlacklisted(account)).to.be.true;
+            }
+            expect(await token.blacklistedCount()).to.equal(3n);
+
+            await expect(executeTokenCall(multisig, token, "unblacklistAddresses", [[addr5.address], REASON_RESOLVED]))
+                .to.emit(token, "AddressUnblacklisted")
+                .withArgs(addr5.address)
+                .and.to.emit(token, "AddressUnblacklistedWithReason")
+                .withArgs(addr5.address, REASON_RESOLVED);
+
+            expect(await token.isBlacklisted(addr5.address)).to.be.false;
+            expect(await token.blacklistedCount()).to.equal(2n);
+        });
+
+        it("Should revert the whole batch on an invalid entry", async function () {
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr5.address]);
+
+            await expect(
+                executeTokenCall(multisig, token, "blacklistAddresses", [[addr4.address, addr5.address], REASON_SANCTIONS])
+            ).to.emit(multisig, "ExecutionFailure");
+            expect(await token.isBlacklisted(addr4.address)).to.be.false;
+
+            await expect(
+                token.connect(addr4).blacklistAddresses([addr6.address], REASON_SANCTIONS)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should paginate blacklisted addresses", async function () {
+            const accounts = [addr4.address, addr5.address, addr6.address, addr7.address, addr8.address];
+            await executeTokenCall(multisig, token, "blacklistAddresses", [accounts, REASON_SANCTIONS]);
+
+            const firstPage = await token.getBlacklistedAddresses(0, 2);
+            const secondPage = await token.getBlacklistedAddresses(2, 2);
+            const lastPage = await token.getBlacklistedAddresses(4, 2);
+
+            expect(firstPage.length).to.equal(2);
+            expect(secondPage.length).to.equal(2);
+            expect(lastPage.length).to.equal(1);
+            expect([...firstPage, ...secondPage, ...lastPage]).to.have.members(accounts);
+            expect((await token.getBlacklistedAddresses(5, 2)).length).to.equal(0);
+            expect(await token.getBlacklistedAddresses(3, ethers.MaxUint256)).to.deep.equal([secondPage[1], lastPage[0]]);
+
+            await executeTokenCall(multisig, token, "unblacklistAddress", [addr6.address]);
+            const all = [...(await token.getBlacklistedAddresses(0, 10))];
+            expect(all).to.have.members([addr4.address, addr5.address, addr7.address, addr8.address]);
+        });
+
+        it("Should seize the balance of a blacklisted address to a recovery address", async function () {
+            const caseReference = ethers.encodeBytes32String("CASE-2024-001");
+            const balance = await token.balanceOf(addr4.address);
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr4.address]);
+
+            await expect(executeTokenCall(multisig, token, "seizeBlacklistedFunds", [addr4.address, addr7.address, caseReference]))
+                .to.emit(token, "BlacklistedFundsSeized")
+                .withArgs(addr4.address, addr7.address, balance, caseReference);
+
+            expect(await token.balanceOf(addr4.address)).to.equal(0n);
+            expect(await token.balanceOf(addr7.address)).to.equal(balance);
+        });
+
+        it("Should only seize from blacklisted addresses to valid recovery addresses", async function () {
+            const caseReference = ethers.encodeBytes32String("CASE-2024-002");
+
+            await expect(
+                executeTokenCall(multisig, token, "seizeBlacklistedFunds", [addr4.address, addr7.address, caseReference])
+            ).to.emit(multisig, "ExecutionFailure");
+
+            await executeTokenCall(multisig, token, "blacklistAddresses", [[addr4.address, addr5.address], REASON_SANCTIONS]);
+
+            await expect(
+                executeTokenCall(multisig, token, "seizeBlacklistedFunds", [addr4.address, addr5.address, caseReference])
+            ).to.emit(multisig, "ExecutionFailure");
+
+            await expect(
+                executeTokenCall(multisig, token, "seizeBlacklistedFunds", [addr5.address, addr7.address, caseReference])
+            ).to.emit(multisig, "ExecutionFailure");
+
+            await expect(
+                token.connect(addr7).seizeBlacklistedFunds(addr4.address, addr7.address, caseReference)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+
+            expect(await token.balanceOf(addr4.address)).to.equal(ethers.parseEther("1000"));
+        });
+    });
+
     describe("Token Fee Tests", function () {
         let nextTxId;
 
@@ -1425,9 +2177,12 @@ describe("Fibon Token System", function () {
             
             // Update the fee if needed
             if (feePercent !== 10n) {
-                const setFeeData = token.interface.encodeFunctionData("setTransferFeePercent", [10]);
-                await multisig.connect(addr1).submitTransaction(tokenAddress, 0, setFeeData);
+                const effectiveTime = (await time.latest()) + 2 * 24 * 3600 + 60;
+                const proposeFeeData = token.interface.encodeFunctionData("proposeTransferFeePercent", [10, effectiveTime]);
+                await multisig.connect(addr1).submitTransaction(tokenAddress, 0, proposeFeeData);
                 await multisig.connect(addr2).confirmTransaction(nextTxId++);
+                await time.increaseTo(effectiveTime);
+                await token.applyTransferFeeChange();
             }
 
             const transferAmount = ethers.parseEther("100");
@@ -1435,8 +2190,8 @@ describe("Fibon Token System", function () {
             
             await token.connect(addr4).transfer(addr5.address, transferAmount);
 
-            const tokenOwner = await token.owner();
-            const ownerBalance = await token.balanceOf(tokenOwner);
+            const feeRecipient = await token.feeRecipient();
+            const feeRecipientBalance = await token.balanceOf(feeRecipient);
             const recipientBalance = await token.balanceOf(addr5.address);
             const senderFinalBalance = await token.balanceOf(addr4.address);
 
@@ -1445,7 +2200,7 @@ describe("Fibon Token System", function () {
             const netAmount = transferAmount - feeAmount;
 
             expect(recipientBalance).to.equal(netAmount);
-            expect(ownerBalance).to.equal(feeAmount);
+            expect(feeRecipientBalance).to.equal(feeAmount);
             expect(senderFinalBalance).to.equal(initialBalance - transferAmount);
         });
 
@@ -1455,9 +2210,12 @@ describe("Fibon Token System", function () {
             
             // Update the fee if needed
             if (feePercent !== 10n) {
-                const setFeeData = token.interface.encodeFunctionData("setTransferFeePercent", [10]);
-                await multisig.connect(addr1).submitTransaction(tokenAddress, 0, setFeeData);
+                const effectiveTime = (await time.latest()) + 2 * 24 * 3600 + 60;
+                const proposeFeeData = token.interface.encodeFunctionData("proposeTransferFeePercent", [10, effectiveTime]);
+                await multisig.connect(addr1).submitTransaction(tokenAddress, 0, proposeFeeData);
                 await multisig.connect(addr2).confirmTransaction(nextTxId++);
+                await time.increaseTo(effectiveTime);
+                await token.applyTransferFeeChange();
             }
 
             const transferAmount = ethers.parseEther("100");
@@ -1466,8 +2224,8 @@ describe("Fibon Token System", function () {
             await token.connect(addr4).approve(addr5.address, transferAmount);
             await token.connect(addr5).transferFrom(addr4.address, addr6.address, transferAmount);
 
-            const tokenOwner = await token.owner();
-            const ownerBalance = await token.balanceOf(tokenOwner);
+            const feeRecipient = await token.feeRecipient();
+            const feeRecipientBalance = await token.balanceOf(feeRecipient);
             const recipientBalance = await token.balanceOf(addr6.address);
             const senderFinalBalance = await token.balanceOf(addr4.address);
 
@@ -1476,30 +2234,28 @@ describe("Fibon Token System", function () {
             const netAmount = transferAmount - feeAmount;
 
             expect(recipientBalance).to.equal(netAmount);
-            expect(ownerBalance).to.equal(feeAmount);
+            expect(feeRecipientBalance).to.equal(feeAmount);
             expect(senderFinalBalance).to.equal(initialBalance - transferAmount);
         });
 
-        it("Should fail if balance insufficient for transfer + fee", async function () {
-            // Set a high fee for this test (50% to ensure failure)
-            const setFeeData = token.interface.encodeFunctionData("setTransferFeePercent", [5000]); // 50%
-            await multisig.connect(addr1).submitTransaction(tokenAddress, 0, setFeeData);
-            await multisig.connect(addr2).confirmTransaction(nextTxId++);
-
-            // Try to transfer a very small amount that would result in a fee of 0
+        it("Should transfer dust amounts without a fee", async function () {
+            // A transfer whose fee rounds down to zero is fee-free
             const tinyAmount = 1n; // 1 wei of token
-            
-            // This should fail because the fee would be too small
+
             await expect(
                 token.connect(addr4).transfer(addr5.address, tinyAmount)
-            ).to.be.revertedWith("Transfer amount too small");
+            ).to.not.emit(token, "TransferFeeCollected");
+            expect(await token.balanceOf(addr5.address)).to.equal(tinyAmount);
         });
 
         it("Should fail if allowance insufficient for transfer + fee", async function () {
             // Set a fee for this test
-            const setFeeData = token.interface.encodeFunctionData("setTransferFeePercent", [10]); // 0.1%
-            await multisig.connect(addr1).submitTransaction(tokenAddress, 0, setFeeData);
+            const effectiveTime = (await time.latest()) + 2 * 24 * 3600 + 60;
+            const proposeFeeData = token.interface.encodeFunctionData("proposeTransferFeePercent", [10, effectiveTime]); // 0.1%
+            await multisig.connect(addr1).submitTransaction(tokenAddress, 0, proposeFeeData);
             await multisig.connect(addr2).confirmTransaction(nextTxId++);
+            await time.increaseTo(effectiveTime);
+            await token.applyTransferFeeChange();
 
             const transferAmount = ethers.parseEther("100");
             await token.connect(addr4).approve(addr5.address, transferAmount - 1n);
@@ -1510,6 +2266,1763 @@ describe("Fibon Token System", function () {
         });
     });
 
+    describe("Token Emission Schedule Tests", function () {
+        let epochDuration, perEpoch;
+
+        beforeEach(async function () {
+            epochDuration = await token.EMISSION_EPOCH_DURATION();
+            perEpoch = await token.EMISSION_PER_EPOCH();
+        });
+
+        async function mintThroughMultiSig(to, amount) {
+            return executeTokenCall(multisig, token, "mint", [to, amount]);
+        }
+
+        it("Should expose the emission schedule", async function () {
+            expect(epochDuration).to.equal(30n * 24n * 3600n);
+            expect(perEpoch).to.equal(ethers.parseEther("294100000"));
+            expect(await token.currentEmissionEpoch()).to.equal(0n);
+            expect(await token.mintableInCurrentEpoch()).to.equal(perEpoch);
+            expect(await token.remainingMintableSupply()).to.equal(await token.MAX_SUPPLY());
+        });
+
+        it("Should cap minting per epoch", async function () {
+            const firstMint = ethers.parseEther("100000000");
+            await mintThroughMultiSig(addr4.address, firstMint);
+
+            expect(await token.mintedInEpoch(0)).to.equal(firstMint);
+            expect(await token.mintableInCurrentEpoch()).to.equal(perEpoch - firstMint);
+
+            await mintThroughMultiSig(addr4.address, perEpoch - firstMint);
+            expect(await token.mintableInCurrentEpoch()).to.equal(0n);
+
+            await expect(
+                mintThroughMultiSig(addr4.address, 1n)
+            ).to.emit(multisig, "ExecutionFailure");
+            expect(await token.balanceOf(addr4.address)).to.equal(perEpoch);
+        });
+
+        it("Should reset the allowance in the next epoch without carrying over", async function () {
+            await mintThroughMultiSig(addr4.address, ethers.parseEther("1000"));
+
+            const emissionStart = await token.emissionStartTime();
+            await time.increaseTo(emissionStart + epochDuration);
+
+            expect(await token.currentEmissionEpoch()).to.equal(1n);
+            expect(await token.mintableInCurrentEpoch()).to.equal(perEpoch);
+
+            await mintThroughMultiSig(addr4.address, perEpoch);
+            expect(await token.mintedInEpoch(1)).to.equal(perEpoch);
+
+            await expect(
+                mintThroughMultiSig(addr4.address, 1n)
+            ).to.emit(multisig, "ExecutionFailure");
+
+            await time.increase(epochDuration);
+            await mintThroughMultiSig(addr4.address, 1n);
+            expect(await token.mintedInEpoch(2)).to.equal(1n);
+        });
+
+        it("Should report the remaining supply overall", async function () {
+            await mintThroughMultiSig(addr4.address, perEpoch);
+            const maxSupply = await token.MAX_SUPPLY();
+            expect(await token.remainingMintableSupply()).to.equal(maxSupply - perEpoch);
+
+            await token.connect(addr4).burn(ethers.parseEther("1000"));
+            expect(await token.remainingMintableSupply()).to.equal(
+                maxSupply - perEpoch + ethers.parseEther("1000")
+            );
+            expect(await token.mintableInCurrentEpoch()).to.equal(0n);
+        });
+    });
+
+    describe("Token Fee Quote and Exact Transfer Tests", function () {
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("10000")]);
+        });
+
+        async function setTransferFee(newFeePercent) {
+            const effectiveTime = (await time.latest()) + 2 * 24 * 3600 + 60;
+            await executeTokenCall(multisig, token, "proposeTransferFeePercent", [newFeePercent, effectiveTime]);
+            await time.increaseTo(effectiveTime);
+            await token.applyTransferFeeChange();
+        }
+
+        it("Should quote the fee and net amount of a transfer", async function () {
+            const amount = ethers.parseEther("100");
+            const [feeAmount, netAmount] = await token.quoteTransfer(addr4.address, addr5.address, amount);
+            expect(feeAmount).to.equal((amount * 5n) / 10000n);
+            expect(netAmount).to.equal(amount - feeAmount);
+
+            const [exemptFee, exemptNet] = await token.quoteTransfer(await multisig.getAddress(), addr5.address, amount);
+            expect(exemptFee).to.equal(0n);
+            expect(exemptNet).to.equal(amount);
+
+            const [dustFee, dustNet] = await token.quoteTransfer(addr4.address, addr5.address, 1999n);
+            expect(dustFee).to.equal(0n);
+            expect(dustNet).to.equal(1999n);
+        });
+
+        it("Should deliver the exact amount with transferExact", async function () {
+            const netAmount = ethers.parseEther("100");
+            const [grossAmount, feeAmount] = await token.quoteTransferExact(addr4.address, addr5.address, netAmount);
+            expect(grossAmount - feeAmount).to.equal(netAmount);
+
+            const balanceBefore = await token.balanceOf(addr4.address);
+            await token.connect(addr4).transferExact(addr5.address, netAmount);
+
+            expect(await token.balanceOf(addr5.address)).to.equal(netAmount);
+            expect(await token.balanceOf(addr4.address)).to.equal(balanceBefore - grossAmount);
+            expect(await token.balanceOf(await multisig.getAddress())).to.equal(feeAmount);
+        });
+
+        it("Should deliver the exact amount with transferFromExact", async function () {
+            await setTransferFee(333);
+            const netAmount = ethers.parseEther("12.345678901234567891");
+            const [grossAmount] = await token.quoteTransferExact(addr4.address, addr6.address, netAmount);
+
+            await token.connect(addr4).approve(addr5.address, grossAmount);
+            await token.connect(addr5).transferFromExact(addr4.address, addr6.address, netAmount);
+
+            expect(await token.balanceOf(addr6.address)).to.equal(netAmount);
+            expect(await token.allowance(addr4.address, addr5.address)).to.equal(0n);
+        });
+
+        it("Should gross up to the smallest amount delivering the exact figure", async function () {
+            await setTransferFee(38);
+            for (const netAmount of [1n, 9n, 10n, 263n, 899n, 900n, 901n, 123456789n, ethers.parseEther("1")]) {
+                const [grossAmount, feeAmount] = await token.quoteTransferExact(addr4.address, addr5.address, netAmount);
+                const [quotedFee, quotedNet] = await token.quoteTransfer(addr4.address, addr5.address, grossAmount);
+                expect(quotedNet).to.equal(netAmount);
+                expect(quotedFee).to.equal(feeAmount);
+
+                const [, smallerNet] = await token.quoteTransfer(addr4.address, addr5.address, grossAmount - 1n);
+                expect(smallerNet).to.be.lt(netAmount);
+            }
+        });
+
+        it("Should not gross up exempt transfers", async function () {
+            const netAmount = ethers.parseEther("100");
+            const [grossAmount, feeAmount] = await token.quoteTransferExact(
+                await multisig.getAddress(),
+                addr5.address,
+                netAmount
+            );
+            expect(grossAmount).to.equal(netAmount);
+            expect(feeAmount).to.equal(0n);
+        });
+    });
+
+    describe("Token Fee Change Timelock Tests", function () {
+        const delay = 2 * 24 * 3600;
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("10000")]);
+        });
+
+        it("Should announce and apply a fee change after the delay", async function () {
+            expect(await token.MIN_FEE_CHANGE_DELAY()).to.equal(BigInt(delay));
+            const effectiveTime = (await time.latest()) + delay + 60;
+
+            await expect(executeTokenCall(multisig, token, "proposeTransferFeePercent", [20, effectiveTime]))
+                .to.emit(token, "TransferFeeChangeProposed")
+                .withArgs(5n, 20n, effectiveTime);
+
+            const pending = await token.getPendingTransferFeeChange();
+            expect(pending.isPending).to.be.true;
+            expect(pending.newFeePercent).to.equal(20n);
+            expect(pending.effectiveTime).to.equal(BigInt(effectiveTime));
+            expect(await token.transferFeePercent()).to.equal(5n);
+
+            await expect(
+                token.connect(addr4).applyTransferFeeChange()
+            ).to.be.revertedWith("Fee change not yet effective");
+
+            await time.increaseTo(effectiveTime);
+            await expect(token.connect(addr4).applyTransferFeeChange())
+                .to.emit(token, "TransferFeeUpdated")
+                .withArgs(5n, 20n);
+
+            expect(await token.transferFeePercent()).to.equal(20n);
+            expect((await token.getPendingTransferFeeChange()).isPending).to.be.false;
+
+            await token.connect(addr4).transfer(addr5.address, ethers.parseEther("100"));
+            expect(await token.balanceOf(addr5.address)).to.equal(
+                ethers.parseEther("100") - (ethers.parseEther("100") * 20n) / 10000n
+            );
+        });
+
+        it("Should cancel a pending fee change", async function () {
+            const effectiveTime = (await time.latest()) + delay + 60;
+            await executeTokenCall(multisig, token, "proposeTransferFeePercent", [20, effectiveTime]);
+
+            await expect(executeTokenCall(multisig, token, "cancelTransferFeeChange", []))
+                .to.emit(token, "TransferFeeChangeCancelled")
+                .withArgs(20n, effectiveTime);
+
+            await time.increaseTo(effectiveTime);
+            await expect(
+                token.applyTransferFeeChange()
+            ).to.be.revertedWith("No pending fee change");
+            expect(await token.transferFeePercent()).to.equal(5n);
+        });
+
+        it("Should reject proposals that are too early or too high", async function () {
+            const now = await time.latest();
+
+            await expect(
+                executeTokenCall(multisig, token, "proposeTransferFeePercent", [20, now + delay - 60])
+            ).to.emit(multisig, "ExecutionFailure");
+
+            await expect(
+                executeTokenCall(multisig, token, "proposeTransferFeePercent", [1001, now + delay + 60])
+            ).to.emit(multisig, "ExecutionFailure");
+
+            await expect(
+                token.connect(addr4).cancelTransferFeeChange()
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+
+            expect((await token.getPendingTransferFeeChange()).isPending).to.be.false;
+        });
+    });
+
+    describe("Token Fee Exemption Tests", function () {
+        const transferAmount = ethers.parseEther("100");
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("10000")]);
+        });
+
+        it("Should initialize the multisig as fee recipient and exempt", async function () {
+            const multisigAddress = await multisig.getAddress();
+            expect(await token.feeRecipient()).to.equal(multisigAddress);
+            expect(await token.isFeeExempt(multisigAddress)).to.be.true;
+            expect(await token.isTransferFeeApplicable(addr4.address, addr5.address)).to.be.true;
+            expect(await token.isTransferFeeApplicable(multisigAddress, addr5.address)).to.be.false;
+        });
+
+        it("Should not charge fees when the sender is exempt", async function () {
+            await expect(executeTokenCall(multisig, token, "setFeeExempt", [addr4.address, true]))
+                .to.emit(token, "FeeExemptionUpdated")
+                .withArgs(addr4.address, true);
+
+            await token.connect(addr4).transfer(addr5.address, transferAmount);
+            expect(await token.balanceOf(addr5.address)).to.equal(transferAmount);
+            expect(await token.balanceOf(await multisig.getAddress())).to.equal(0n);
+        });
+
+        it("Should not charge fees when the recipient is exempt", async function () {
+            await executeTokenCall(multisig, token, "setFeeExempt", [addr6.address, true]);
+
+            await token.connect(addr4).approve(addr5.address, transferAmount);
+            await token.connect(addr5).transferFrom(addr4.address, addr6.address, transferAmount);
+            expect(await token.balanceOf(addr6.address)).to.equal(transferAmount);
+            expect(await token.allowance(addr4.address, addr5.address)).to.equal(0n);
+        });
+
+        it("Should charge fees again once the exemption is removed", async function () {
+            await executeTokenCall(multisig, token, "setFeeExempt", [addr4.address, true]);
+            await expect(executeTokenCall(multisig, token, "setFeeExempt", [addr4.address, false]))
+                .to.emit(token, "FeeExemptionUpdated")
+                .withArgs(addr4.address, false);
+
+            await token.connect(addr4).transfer(addr5.address, transferAmount);
+            const feeAmount = (transferAmount * 5n) / 10000n;
+            expect(await token.balanceOf(addr5.address)).to.equal(transferAmount - feeAmount);
+        });
+
+        it("Should deliver the full releasable amount from an exempt vesting contract", async function () {
+            await executeTokenCall(multisig, token, "mint", [vestingAddress, ethers.parseEther("1000")]);
+            await executeTokenCall(multisig, token, "setFeeExempt", [vestingAddress, true]);
+
+            const scheduleData = vesting.interface.encodeFunctionData(
+                "initializeVestingSchedules",
+                [[addr7.address], [ethers.parseEther("1000")], [7], 0]
+            );
+            const scheduleTxId = await multisig.transactionCount();
+            await multisig.connect(addr1).submitTransaction(vestingAddress, 0, scheduleData);
+            await multisig.connect(addr2).confirmTransaction(scheduleTxId);
+
+            await time.increase(6 * 30 * 24 * 3600);
+            const releasable = await vesting.calculateReleasableAmount(addr7.address);
+            await vesting.connect(addr7).release();
+
+            expect(await token.balanceOf(addr7.address)).to.equal(releasable);
+        });
+
+        it("Should send fees to the configured fee recipient", async function () {
+            const multisigAddress = await multisig.getAddress();
+            await expect(executeTokenCall(multisig, token, "setFeeRecipient", [addr7.address]))
+                .to.emit(token, "FeeRecipientUpdated")
+                .withArgs(multisigAddress, addr7.address);
+
+            await token.connect(addr4).transfer(addr5.address, transferAmount);
+            const feeAmount = (transferAmount * 5n) / 10000n;
+            expect(await token.balanceOf(addr7.address)).to.equal(feeAmount);
+            expect(await token.balanceOf(multisigAddress)).to.equal(0n);
+        });
+
+        it("Should reject invalid exemption and fee recipient updates", async function () {
+            await expect(
+                token.connect(addr4).setFeeExempt(addr4.address, true)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+
+            await expect(
+                token.connect(addr4).setFeeRecipient(addr4.address)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+
+            await expect(
+                executeTokenCall(multisig, token, "setFeeRecipient", [ethers.ZeroAddress])
+            ).to.emit(multisig, "ExecutionFailure");
+
+            await expect(
+                executeTokenCall(multisig, token, "setFeeExempt", [await multisig.getAddress(), true])
+            ).to.emit(multisig, "ExecutionFailure");
+        });
+    });
+
+    describe("Token Fee Split Tests", function () {
+        const transferAmount = ethers.parseEther("100");
+        const feeAmount = (transferAmount * 5n) / 10000n;
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("10000")]);
+        });
+
+        it("Should send the whole fee to the treasury by default", async function () {
+            expect(await token.feeTreasuryShare()).to.equal(10000n);
+            expect(await token.feeBurnShare()).to.equal(0n);
+            expect(await token.feeRewardsShare()).to.equal(0n);
+
+            await expect(
+                token.connect(addr4).transfer(addr5.address, transferAmount)
+            ).to.emit(token, "TransferFeeCollected")
+            .withArgs(addr4.address, feeAmount, 0n, 0n);
+        });
+
+        it("Should split fees between treasury, burn and rewards pool", async function () {
+            await expect(executeTokenCall(multisig, token, "setRewardsPool", [addr7.address]))
+                .to.emit(token, "RewardsPoolUpdated")
+                .withArgs(ethers.ZeroAddress, addr7.address);
+            await expect(executeTokenCall(multisig, token, "setFeeSplit", [5000, 3000, 2000]))
+                .to.emit(token, "FeeSplitUpdated")
+                .withArgs(5000n, 3000n, 2000n);
+
+            const burnAmount = (feeAmount * 3000n) / 10000n;
+            const rewardsAmount = (feeAmount * 2000n) / 10000n;
+            const treasuryAmount = feeAmount - burnAmount - rewardsAmount;
+            const supplyBefore = await token.totalSupply();
+
+            await expect(
+                token.connect(addr4).transfer(addr5.address, transferAmount)
+            ).to.emit(token, "TransferFeeCollected")
+            .withArgs(addr4.address, treasuryAmount, burnAmount, rewardsAmount);
+
+            expect(await token.balanceOf(addr5.address)).to.equal(transferAmount - feeAmount);
+            expect(await token.balanceOf(await multisig.getAddress())).to.equal(treasuryAmount);
+            expect(await token.balanceOf(addr7.address)).to.equal(rewardsAmount);
+            expect(await token.totalSupply()).to.equal(supplyBefore - burnAmount);
+        });
+
+        it("Should apply the split on transferFrom", async function () {
+            await executeTokenCall(multisig, token, "setFeeSplit", [0, 10000, 0]);
+            const supplyBefore = await token.totalSupply();
+
+            await token.connect(addr4).approve(addr5.address, transferAmount);
+            await token.connect(addr5).transferFrom(addr4.address, addr6.address, transferAmount);
+
+            expect(await token.balanceOf(addr6.address)).to.equal(transferAmount - feeAmount);
+            expect(await token.balanceOf(await multisig.getAddress())).to.equal(0n);
+            expect(await token.totalSupply()).to.equal(supplyBefore - feeAmount);
+        });
+
+        it("Should reject invalid fee splits", async function () {
+            await expect(
+                token.connect(addr4).setFeeSplit(10000, 0, 0)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+
+            await expect(
+                executeTokenCall(multisig, token, "setFeeSplit", [5000, 3000, 1000])
+            ).to.emit(multisig, "ExecutionFailure");
+
+            await expect(
+                executeTokenCall(multisig, token, "setFeeSplit", [5000, 3000, 2000])
+            ).to.emit(multisig, "ExecutionFailure");
+
+            await expect(
+                executeTokenCall(multisig, token, "setRewardsPool", [ethers.ZeroAddress])
+            ).to.emit(multisig, "ExecutionFailure");
+
+            expect(await token.feeTreasuryShare()).to.equal(10000n);
+        });
+    });
+
+    describe("Token Recovery Tests", function () {
+        it("Should recover other ERC20 tokens sent to the token contract", async function () {
+            const otherToken = await deployFibonToken(await multisig.getAddress());
+            const otherTokenAddress = await otherToken.getAddress();
+            await executeTokenCall(multisig, otherToken, "mint", [tokenAddress, ethers.parseEther("1000")]);
+
+            await expect(executeTokenCall(multisig, token, "recoverERC20", [otherTokenAddress, addr5.address, ethers.parseEther("400")]))
+                .to.emit(token, "ERC20Recovered")
+                .withArgs(otherTokenAddress, addr5.address, ethers.parseEther("400"));
+
+            expect(await otherToken.balanceOf(tokenAddress)).to.equal(ethers.parseEther("600"));
+            const fee = (ethers.parseEther("400") * 5n) / 10000n;
+            expect(await otherToken.balanceOf(addr5.address)).to.equal(ethers.parseEther("400") - fee);
+        });
+
+        it("Should recover FIBON held by the token contract itself", async function () {
+            const amount = ethers.parseEther("100");
+            await executeTokenCall(multisig, token, "mint", [addr4.address, amount]);
+            await token.connect(addr4).transfer(tokenAddress, amount);
+            const held = await token.balanceOf(tokenAddress);
+            const fee = (held * 5n) / 10000n;
+
+            await expect(executeTokenCall(multisig, token, "recoverERC20", [tokenAddress, addr4.address, held]))
+                .to.emit(token, "ERC20Recovered")
+                .withArgs(tokenAddress, addr4.address, held);
+
+            expect(await token.balanceOf(tokenAddress)).to.equal(0n);
+            expect(await token.balanceOf(addr4.address)).to.equal(held - fee);
+        });
+
+        it("Should recover ETH forced into the token contract", async function () {
+            const amount = ethers.parseEther("1");
+            await ethers.provider.send("hardhat_setBalance", [tokenAddress, ethers.toQuantity(amount)]);
+            const balanceBefore = await ethers.provider.getBalance(addr5.address);
+
+            await expect(executeTokenCall(multisig, token, "recoverETH", [addr5.address, amount]))
+                .to.emit(token, "ETHRecovered")
+                .withArgs(addr5.address, amount);
+
+            expect(await ethers.provider.getBalance(tokenAddress)).to.equal(0n);
+            expect(await ethers.provider.getBalance(addr5.address)).to.equal(balanceBefore + amount);
+        });
+
+        it("Should restrict recovery to the admin and refuse the zero address", async function () {
+            await expect(
+                token.connect(addr4).recoverERC20(tokenAddress, addr4.address, 1n)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(
+                token.connect(addr4).recoverETH(addr4.address, 1n)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+
+            await expect(
+                executeTokenCall(multisig, token, "recoverETH", [ethers.ZeroAddress, 1n])
+            ).to.emit(multisig, "ExecutionFailure");
+            await expect(
+                executeTokenCall(multisig, token, "recoverETH", [addr5.address, 1n])
+            ).to.emit(multisig, "ExecutionFailure");
+        });
+    });
+
+    describe("Token Multi-Transfer Tests", function () {
+        const amount = ethers.parseEther("10");
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("10000")]);
+        });
+
+        function randomRecipients(count) {
+            return Array.from({ length: count }, () => ethers.Wallet.createRandom().address);
+        }
+
+        it("Should send each recipient its amount and charge the fee once on the total", async function () {
+            const recipients = [addr5.address, addr6.address, addr7.address];
+            const amounts = [amount, amount * 2n, amount * 3n];
+            const total = amount * 6n;
+            const fee = (total * 5n) / 10000n;
+            const treasury = await token.feeRecipient();
+            const treasuryBefore = await token.balanceOf(treasury);
+
+            const tx = token.connect(addr4).multiTransfer(recipients, amounts);
+            await expect(tx).to.emit(token, "Transfer").withArgs(addr4.address, addr5.address, amount);
+            await expect(tx).to.emit(token, "Transfer").withArgs(addr4.address, addr6.address, amount * 2n);
+            await expect(tx).to.emit(token, "Transfer").withArgs(addr4.address, addr7.address, amount * 3n);
+            await expect(tx).to.emit(token, "TransferFeeCollected").withArgs(addr4.address, fee, 0n, 0n);
+
+            expect(await token.balanceOf(addr5.address)).to.equal(amount);
+            expect(await token.balanceOf(addr6.address)).to.equal(amount * 2n);
+            expect(await token.balanceOf(addr7.address)).to.equal(amount * 3n);
+            expect(await token.balanceOf(addr4.address)).to.equal(ethers.parseEther("10000") - total - fee);
+            expect(await token.balanceOf(treasury)).to.equal(treasuryBefore + fee);
+
+            // The per-transfer fee applies again to transfers after the batch
+            await token.connect(addr5).transfer(addr6.address, amount);
+            expect(await token.balanceOf(addr6.address)).to.equal(amount * 3n - (amount * 5n) / 10000n);
+        });
+
+        it("Should not charge the fee on amounts sent to exempt recipients", async function () {
+            await executeTokenCall(multisig, token, "setFeeExempt", [addr5.address, true]);
+            const fee = (amount * 5n) / 10000n;
+
+            await token.connect(addr4).multiTransfer([addr5.address, addr6.address], [amount, amount]);
+            expect(await token.balanceOf(addr4.address)).to.equal(ethers.parseEther("10000") - amount * 2n - fee);
+        });
+
+        it("Should reject mismatched arrays, blacklisted parties and the zero address", async function () {
+            await expect(
+                token.connect(addr4).multiTransfer([addr5.address], [amount, amount])
+            ).to.be.revertedWith("Array length mismatch");
+            await expect(
+                token.connect(addr4).multiTransfer([addr5.address, ethers.ZeroAddress], [amount, amount])
+            ).to.be.revertedWithCustomError(token, "ERC20InvalidReceiver");
+
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr6.address]);
+            await expect(
+                token.connect(addr4).multiTransfer([addr5.address, addr6.address], [amount, amount])
+            ).to.be.revertedWith("Recipient is blacklisted");
+            await expect(
+                token.connect(addr6).multiTransfer([addr5.address], [amount])
+            ).to.be.revertedWith("Sender is blacklisted");
+
+            await expect(
+                token.connect(addr5).multiTransfer([addr7.address], [amount])
+            ).to.be.revertedWithCustomError(token, "ERC20InsufficientBalance");
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+        });
+
+        it("Should apply the anti-whale limits and the pause", async function () {
+            const expiry = (await time.latest()) + 3600;
+            await executeTokenCall(multisig, token, "setTransferLimits", [amount, 0n, expiry]);
+            await expect(
+                token.connect(addr4).multiTransfer([addr5.address, addr6.address], [amount, amount + 1n])
+            ).to.be.revertedWith("Exceeds maximum transaction amount");
+
+            await executeTokenCall(multisig, token, "pause", []);
+            await expect(
+                token.connect(addr4).multiTransfer([addr5.address], [amount])
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+        });
+
+        it("Should cost less gas than looped transfers", async function () {
+            const count = 20;
+            const amounts = Array(count).fill(amount);
+
+            const batchRecipients = randomRecipients(count);
+            const batchReceipt = await (await token.connect(addr4).multiTransfer(batchRecipients, amounts)).wait();
+
+            let loopGas = 0n;
+            for (const recipient of randomRecipients(count)) {
+                const receipt = await (await token.connect(addr4).transfer(recipient, amount)).wait();
+                loopGas += receipt.gasUsed;
+            }
+
+            console.log(`      multiTransfer to ${count} recipients: ${batchReceipt.gasUsed} gas, looped transfers: ${loopGas} gas`);
+            expect(batchReceipt.gasUsed).to.be.lt(loopGas / 2n);
+        });
+    });
+
+    describe("Token Transfer Rule Matrix Tests", function () {
+        let receiverAddress;
+        const amount = ethers.parseEther("100");
+        const feeAmount = (amount * 5n) / 10000n;
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("1000")]);
+            await executeTokenCall(multisig, token, "setBridgeLimits", [addr7.address, ethers.parseEther("1000"), ethers.parseEther("1000")]);
+            await token.connect(addr4).approve(addr6.address, ethers.parseEther("1000"));
+            await token.connect(addr4).approve(addr7.address, ethers.parseEther("1000"));
+
+            receiverAddress = await (await deployReceiver()).getAddress();
+        });
+
+        // Entry points moving tokens from addr4 to `to`, with addr6 as spender where an allowance is used
+        function transferEntryPoints(to) {
+            return {
+                transfer: () => token.connect(addr4).transfer(to, amount),
+                transferExact: () => token.connect(addr4).transferExact(to, amount),
+                transferFrom: () => token.connect(addr6).transferFrom(addr4.address, to, amount),
+                transferFromExact: () => token.connect(addr6).transferFromExact(addr4.address, to, amount),
+                transferAndCall: () => token.connect(addr4)["transferAndCall(address,uint256)"](receiverAddress, amount),
+                transferFromAndCall: () =>
+                    token.connect(addr6)["transferFromAndCall(address,address,uint256)"](addr4.address, receiverAddress, amount)
+            };
+        }
+
+        it("Should refuse blacklisted senders on every entry point", async function () {
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr4.address]);
+
+            const cases = [
+                [() => token.connect(addr4).transfer(addr5.address, amount), "Sender is blacklisted"],
+                [() => token.connect(addr4).transferExact(addr5.address, amount), "Sender is blacklisted"],
+                [() => token.connect(addr4)["transferAndCall(address,uint256)"](receiverAddress, amount), "Sender is blacklisted"],
+                [() => token.connect(addr4).burn(amount), "Sender is blacklisted"],
+                [() => token.connect(addr4).approve(addr5.address, amount), "Owner is blacklisted"],
+                [() => token.connect(addr6).transferFrom(addr4.address, addr5.address, amount), "Token owner is blacklisted"],
+                [
+                    () => token.connect(addr6)["transferFromAndCall(address,address,uint256)"](addr4.address, receiverAddress, amount),
+                    "Token owner is blacklisted"
+                ],
+                [() => token.connect(addr6).burnFrom(addr4.address, amount), "Token owner is blacklisted"],
+                [() => token.connect(addr7).bridgeBurn(addr4.address, amount), "Token owner is blacklisted"]
+            ];
+            for (const [call, reason] of cases) {
+                await expect(call()).to.be.revertedWith(reason);
+            }
+        });
+
+        it("Should refuse blacklisted recipients on every entry point", async function () {
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr5.address]);
+            await executeTokenCall(multisig, token, "blacklistAddress", [receiverAddress]);
+
+            for (const [name, call] of Object.entries(transferEntryPoints(addr5.address))) {
+                await expect(call(), name).to.be.revertedWith("Recipient is blacklisted");
+            }
+            await expect(
+                token.connect(addr7).bridgeMint(addr5.address, amount)
+            ).to.be.revertedWith("Recipient is blacklisted");
+            await expect(
+                executeTokenCall(multisig, token, "mint", [addr5.address, amount])
+            ).to.emit(multisig, "ExecutionFailure");
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+        });
+
+        it("Should refuse blacklisted spenders on every entry point", async function () {
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr6.address]);
+
+            const cases = [
+                () => token.connect(addr6).transferFrom(addr4.address, addr5.address, amount),
+                () => token.connect(addr6).transferFromExact(addr4.address, addr5.address, amount),
+                () => token.connect(addr6)["transferFromAndCall(address,address,uint256)"](addr4.address, receiverAddress, amount),
+                () => token.connect(addr6).burnFrom(addr4.address, amount),
+                () => token.connect(addr4).approve(addr6.address, amount),
+                () => token.connect(addr4)["approveAndCall(address,uint256)"](addr6.address, amount)
+            ];
+            for (const call of cases) {
+                await expect(call()).to.be.revertedWith("Spender is blacklisted");
+            }
+        });
+
+        it("Should refuse blacklisted relayers, bridges and flash loan initiators", async function () {
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr7.address]);
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr8.address]);
+
+            const now = await time.latest();
+            const domain = {
+                name: "FibonToken",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: tokenAddress
+            };
+            const types = {
+                TransferWithAuthorization: [
+                    { name: "from", type: "address" },
+                    { name: "to", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "validAfter", type: "uint256" },
+                    { name: "validBefore", type: "uint256" },
+                    { name: "nonce", type: "bytes32" }
+                ]
+            };
+            const authorization = {
+                from: addr4.address,
+                to: addr5.address,
+                value: amount,
+                validAfter: now - 60,
+                validBefore: now + 3600,
+                nonce: ethers.hexlify(ethers.randomBytes(32))
+            };
+            const { v, r, s } = ethers.Signature.from(await addr4.signTypedData(domain, types, authorization));
+            const borrowerAddress = await (await deployBorrower()).getAddress();
+
+            const cases = [
+                [() => token.connect(addr8).transferWithAuthorization(...Object.values(authorization), v, r, s), "Caller is blacklisted"],
+                [() => token.connect(addr7).bridgeMint(addr5.address, amount), "Bridge is blacklisted"],
+                [() => token.connect(addr7).bridgeBurn(addr4.address, amount), "Bridge is blacklisted"],
+                [() => token.connect(addr8).flashLoan(borrowerAddress, tokenAddress, amount, "0x"), "Sender is blacklisted"]
+            ];
+            for (const [call, reason] of cases) {
+                await expect(call()).to.be.revertedWith(reason);
+            }
+        });
+
+        it("Should charge the transfer fee on every transfer entry point", async function () {
+            const treasury = await token.feeRecipient();
+
+            for (const [name, call] of Object.entries(transferEntryPoints(addr5.address))) {
+                const treasuryBefore = await token.balanceOf(treasury);
+                const senderBefore = await token.balanceOf(addr4.address);
+                const receivedBefore = await token.balanceOf(addr5.address) + await token.balanceOf(receiverAddress);
+
+                await call();
+
+                const paid = senderBefore - await token.balanceOf(addr4.address);
+                const fee = await token.balanceOf(treasury) - treasuryBefore;
+                const received = await token.balanceOf(addr5.address) + await token.balanceOf(receiverAddress) - receivedBefore;
+                expect(fee, name).to.equal(paid - received);
+                expect(fee, name).to.be.closeTo(feeAmount, ethers.parseEther("0.0001"));
+            }
+        });
+
+        it("Should not charge fees or apply the blacklist to privileged moves", async function () {
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr4.address]);
+            const treasury = await token.feeRecipient();
+            const treasuryBefore = await token.balanceOf(treasury);
+
+            await executeTokenCall(multisig, token, "seizeBlacklistedFunds", [addr4.address, addr5.address, ethers.ZeroHash]);
+
+            expect(await token.balanceOf(addr5.address)).to.equal(ethers.parseEther("1000"));
+            expect(await token.balanceOf(treasury)).to.equal(treasuryBefore);
+        });
+    });
+
+    describe("Token Flash Loan Tests", function () {
+        let borrower, borrowerAddress;
+        const amount = ethers.parseEther("1000");
+
+        beforeEach(async function () {
+            borrower = await deployBorrower();
+            borrowerAddress = await borrower.getAddress();
+        });
+
+        it("Should quote the maximum flash loan and the flash fee", async function () {
+            const maxSupply = await token.MAX_SUPPLY();
+            expect(await token.maxFlashLoan(tokenAddress)).to.equal(maxSupply - await token.totalSupply());
+            expect(await token.maxFlashLoan(addr4.address)).to.equal(0n);
+            expect(await token.flashFee(tokenAddress, amount)).to.equal(0n);
+            await expect(token.flashFee(addr4.address, amount))
+                .to.be.revertedWithCustomError(token, "ERC3156UnsupportedToken")
+                .withArgs(addr4.address);
+
+            await expect(executeTokenCall(multisig, token, "setFlashFee", [9]))
+                .to.emit(token, "FlashFeeUpdated")
+                .withArgs(0n, 9n);
+            expect(await token.flashFee(tokenAddress, amount)).to.equal((amount * 9n) / 10000n);
+
+            await expect(
+                token.connect(addr4).setFlashFee(1)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(executeTokenCall(multisig, token, "setFlashFee", [1001])).to.emit(multisig, "ExecutionFailure");
+        });
+
+        it("Should flash mint and burn back the loan without a fee", async function () {
+            const supplyBefore = await token.totalSupply();
+
+            await expect(token.connect(addr4).flashLoan(borrowerAddress, tokenAddress, amount, "0x"))
+                .to.emit(borrower, "FlashLoanReceived")
+                .withArgs(tokenAddress, addr4.address, amount, 0n, amount, supplyBefore + amount);
+
+            expect(await token.totalSupply()).to.equal(supplyBefore);
+            expect(await token.balanceOf(borrowerAddress)).to.equal(0n);
+            expect(await token.allowance(borrowerAddress, tokenAddress)).to.equal(0n);
+        });
+
+        it("Should send the flash fee to the fee recipient", async function () {
+            await executeTokenCall(multisig, token, "setFlashFee", [9]);
+            const fee = (amount * 9n) / 10000n;
+            await executeTokenCall(multisig, token, "mint", [borrowerAddress, fee]);
+
+            const treasury = await token.feeRecipient();
+            const treasuryBefore = await token.balanceOf(treasury);
+            const supplyBefore = await token.totalSupply();
+
+            await token.connect(addr4).flashLoan(borrowerAddress, tokenAddress, amount, "0x");
+
+            expect(await token.balanceOf(treasury)).to.equal(treasuryBefore + fee);
+            expect(await token.balanceOf(borrowerAddress)).to.equal(0n);
+            expect(await token.totalSupply()).to.equal(supplyBefore);
+        });
+
+        it("Should revert loans that are not repaid or acknowledged", async function () {
+            await executeTokenCall(multisig, token, "setFlashFee", [9]);
+            await expect(
+                token.connect(addr4).flashLoan(borrowerAddress, tokenAddress, amount, "0x")
+            ).to.be.revertedWithCustomError(token, "ERC20InsufficientBalance");
+
+            const nonApproving = await deployBorrower(false, true);
+            await expect(
+                token.connect(addr4).flashLoan(await nonApproving.getAddress(), tokenAddress, amount, "0x")
+            ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+
+            const wrongReturn = await deployBorrower(true, false);
+            await expect(
+                token.connect(addr4).flashLoan(await wrongReturn.getAddress(), tokenAddress, amount, "0x")
+            ).to.be.revertedWithCustomError(token, "ERC3156InvalidReceiver")
+                .withArgs(await wrongReturn.getAddress());
+        });
+
+        it("Should refuse other tokens, loans above MAX_SUPPLY, blacklisted receivers and paused loans", async function () {
+            await expect(
+                token.connect(addr4).flashLoan(borrowerAddress, addr4.address, amount, "0x")
+            ).to.be.revertedWithCustomError(token, "ERC3156ExceededMaxLoan").withArgs(0n);
+
+            const maxLoan = await token.maxFlashLoan(tokenAddress);
+            await expect(
+                token.connect(addr4).flashLoan(borrowerAddress, tokenAddress, maxLoan + 1n, "0x")
+            ).to.be.revertedWithCustomError(token, "ERC3156ExceededMaxLoan").withArgs(maxLoan);
+
+            await executeTokenCall(multisig, token, "blacklistAddress", [borrowerAddress]);
+            await expect(
+                token.connect(addr4).flashLoan(borrowerAddress, tokenAddress, amount, "0x")
+            ).to.be.revertedWith("Receiver is blacklisted");
+            await executeTokenCall(multisig, token, "unblacklistAddress", [borrowerAddress]);
+
+            await executeTokenCall(multisig, token, "pause", []);
+            await expect(
+                token.connect(addr4).flashLoan(borrowerAddress, tokenAddress, amount, "0x")
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+        });
+    });
+
+    describe("Token Transfer Limit Tests", function () {
+        let expiry;
+        const maxTransaction = ethers.parseEther("100");
+        const maxWallet = ethers.parseEther("150");
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("10000")]);
+            expiry = (await time.latest()) + 7 * 24 * 3600;
+            await executeTokenCall(multisig, token, "setTransferLimits", [maxTransaction, maxWallet, expiry]);
+        });
+
+        it("Should let only the admin configure limits and exemptions", async function () {
+            expect(await token.maxTransactionAmount()).to.equal(maxTransaction);
+            expect(await token.maxWalletBalance()).to.equal(maxWallet);
+            expect(await token.transferLimitsExpiry()).to.equal(expiry);
+            expect(await token.transferLimitsActive()).to.be.true;
+
+            await expect(executeTokenCall(multisig, token, "setTransferLimits", [1n, 2n, 3n]))
+                .to.emit(token, "TransferLimitsUpdated")
+                .withArgs(1n, 2n, 3n);
+            await expect(executeTokenCall(multisig, token, "setTransferLimitExempt", [addr5.address, true]))
+                .to.emit(token, "TransferLimitExemptionUpdated")
+                .withArgs(addr5.address, true);
+            expect(await token.isTransferLimitExempt(addr5.address)).to.be.true;
+
+            await expect(
+                token.connect(addr4).setTransferLimits(0n, 0n, 0n)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(
+                token.connect(addr4).setTransferLimitExempt(addr4.address, true)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should cap the amount of a single transfer", async function () {
+            await token.connect(addr4).transfer(addr5.address, maxTransaction);
+            await expect(
+                token.connect(addr4).transfer(addr6.address, maxTransaction + 1n)
+            ).to.be.revertedWith("Exceeds maximum transaction amount");
+
+            await token.connect(addr4).approve(addr7.address, ethers.parseEther("1000"));
+            await expect(
+                token.connect(addr7).transferFrom(addr4.address, addr6.address, maxTransaction + 1n)
+            ).to.be.revertedWith("Exceeds maximum transaction amount");
+        });
+
+        it("Should cap the balance a transfer leaves the recipient with", async function () {
+            await token.connect(addr4).transfer(addr5.address, maxTransaction);
+            const balance = await token.balanceOf(addr5.address);
+
+            await expect(
+                token.connect(addr4).transfer(addr5.address, maxWallet - balance + ethers.parseEther("1"))
+            ).to.be.revertedWith("Exceeds maximum wallet balance");
+
+            await token.connect(addr4).approve(addr7.address, ethers.parseEther("1000"));
+            await expect(
+                token.connect(addr7).transferFrom(addr4.address, addr5.address, maxTransaction)
+            ).to.be.revertedWith("Exceeds maximum wallet balance");
+        });
+
+        it("Should not limit exempt senders and recipients", async function () {
+            await expect(
+                token.connect(addr4).transfer(addr5.address, ethers.parseEther("500"))
+            ).to.be.revertedWith("Exceeds maximum transaction amount");
+
+            await executeTokenCall(multisig, token, "setTransferLimitExempt", [addr4.address, true]);
+            await expect(
+                token.connect(addr4).transfer(addr5.address, ethers.parseEther("500"))
+            ).to.be.revertedWith("Exceeds maximum wallet balance");
+
+            await executeTokenCall(multisig, token, "setTransferLimitExempt", [addr5.address, true]);
+            await token.connect(addr4).transfer(addr5.address, ethers.parseEther("500"));
+            await token.connect(addr5).transfer(addr6.address, maxTransaction);
+
+            await executeTokenCall(multisig, token, "setTransferLimitExempt", [addr4.address, false]);
+            expect(await token.isTransferLimitExempt(addr4.address)).to.be.false;
+            await expect(
+                token.connect(addr4).transfer(addr6.address, maxTransaction + 1n)
+            ).to.be.revertedWith("Exceeds maximum transaction amount");
+        });
+
+        it("Should stop enforcing the limits once they expire or are disabled", async function () {
+            await executeTokenCall(multisig, token, "setTransferLimits", [0n, maxWallet, expiry]);
+            await expect(
+                token.connect(addr4).transfer(addr5.address, maxWallet + ethers.parseEther("1"))
+            ).to.be.revertedWith("Exceeds maximum wallet balance");
+
+            await time.increaseTo(expiry);
+            expect(await token.transferLimitsActive()).to.be.false;
+            await token.connect(addr4).transfer(addr5.address, ethers.parseEther("1000"));
+            expect(await token.balanceOf(addr5.address)).to.be.gt(maxWallet);
+        });
+
+        it("Should not let the admin re-arm the limits once they have expired", async function () {
+            await expect(executeTokenCall(multisig, token, "setTransferLimits", [maxTransaction, maxWallet, 0n]))
+                .to.emit(multisig, "ExecutionFailure");
+
+            await time.increaseTo(expiry);
+            const laterExpiry = (await time.latest()) + 7 * 24 * 3600;
+            await expect(executeTokenCall(multisig, token, "setTransferLimits", [maxTransaction, maxWallet, laterExpiry]))
+                .to.emit(multisig, "ExecutionFailure");
+            await expect(executeTokenCall(multisig, token, "setTransferLimits", [maxTransaction, maxWallet, 0n]))
+                .to.emit(multisig, "ExecutionFailure");
+            expect(await token.transferLimitsActive()).to.be.false;
+
+            await expect(executeTokenCall(multisig, token, "setTransferLimits", [0n, 0n, expiry - 1]))
+                .to.emit(token, "TransferLimitsUpdated")
+                .withArgs(0n, 0n, expiry - 1);
+            expect(await token.transferLimitsActive()).to.be.false;
+        });
+
+        it("Should let the admin end the limits early", async function () {
+            const now = await time.latest();
+            await executeTokenCall(multisig, token, "setTransferLimits", [maxTransaction, maxWallet, now]);
+            expect(await token.transferLimitsActive()).to.be.false;
+        });
+    });
+
+    describe("Token Bridge Tests", function () {
+        const mintingLimit = ethers.parseEther("1000");
+        const burningLimit = ethers.parseEther("500");
+        const day = 24 * 3600;
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "setBridgeLimits", [addr6.address, mintingLimit, burningLimit]);
+        });
+
+        it("Should register bridges with their limits", async function () {
+            await expect(executeTokenCall(multisig, token, "setBridgeLimits", [addr7.address, 10n, 20n]))
+                .to.emit(token, "BridgeLimitsSet")
+                .withArgs(10n, 20n, addr7.address);
+
+            expect(await token.mintingMaxLimitOf(addr6.address)).to.equal(mintingLimit);
+            expect(await token.burningMaxLimitOf(addr6.address)).to.equal(burningLimit);
+            expect(await token.mintingCurrentLimitOf(addr6.address)).to.equal(mintingLimit);
+            expect(await token.burningCurrentLimitOf(addr6.address)).to.equal(burningLimit);
+
+            await expect(
+                token.connect(addr4).setBridgeLimits(addr4.address, 10n, 20n)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should let bridges mint within a limit that refills over a day", async function () {
+            await token.connect(addr6).bridgeMint(addr4.address, ethers.parseEther("800"));
+            expect(await token.balanceOf(addr4.address)).to.equal(ethers.parseEther("800"));
+            expect(await token.mintingCurrentLimitOf(addr6.address)).to.equal(ethers.parseEther("200"));
+            expect(await token.mintedInEpoch(await token.currentEmissionEpoch())).to.equal(0n);
+
+            await expect(
+                token.connect(addr6).bridgeMint(addr4.address, ethers.parseEther("201"))
+            ).to.be.revertedWith("Bridge limit exceeded");
+
+            await time.increase(day / 2);
+            const halfRefilled = await token.mintingCurrentLimitOf(addr6.address);
+            expect(halfRefilled).to.be.closeTo(ethers.parseEther("700"), ethers.parseEther("1"));
+
+            await time.increase(day / 2);
+            expect(await token.mintingCurrentLimitOf(addr6.address)).to.equal(mintingLimit);
+        });
+
+        it("Should let bridges burn within their limit, spending allowances for other holders", async function () {
+            await token.connect(addr6).bridgeMint(addr4.address, ethers.parseEther("600"));
+
+            await expect(
+                token.connect(addr6).bridgeBurn(addr4.address, ethers.parseEther("100"))
+            ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+
+            await token.connect(addr4).approve(addr6.address, ethers.parseEther("600"));
+            await token.connect(addr6).bridgeBurn(addr4.address, ethers.parseEther("500"));
+            expect(await token.balanceOf(addr4.address)).to.equal(ethers.parseEther("100"));
+            expect(await token.burningCurrentLimitOf(addr6.address)).to.equal(0n);
+
+            await expect(
+                token.connect(addr6).bridgeBurn(addr4.address, ethers.parseEther("1"))
+            ).to.be.revertedWith("Bridge limit exceeded");
+        });
+
+        it("Should refuse unregistered bridges and lower the current limit with the maximum", async function () {
+            await expect(
+                token.connect(addr7).bridgeMint(addr7.address, 1n)
+            ).to.be.revertedWith("Bridge limit exceeded");
+
+            await token.connect(addr6).bridgeMint(addr4.address, ethers.parseEther("300"));
+            await executeTokenCall(multisig, token, "setBridgeLimits", [addr6.address, ethers.parseEther("400"), burningLimit]);
+            expect(await token.mintingCurrentLimitOf(addr6.address)).to.be.closeTo(ethers.parseEther("100"), ethers.parseEther("0.1"));
+
+            await executeTokenCall(multisig, token, "setBridgeLimits", [addr6.address, 0n, 0n]);
+            await expect(
+                token.connect(addr6).bridgeMint(addr4.address, 1n)
+            ).to.be.revertedWith("Bridge limit exceeded");
+        });
+
+        it("Should enforce MAX_SUPPLY, the blacklist and the pause on bridge mints", async function () {
+            const maxSupply = await token.MAX_SUPPLY();
+            await executeTokenCall(multisig, token, "setBridgeLimits", [addr6.address, maxSupply, 0n]);
+            await expect(
+                token.connect(addr6).bridgeMint(addr4.address, maxSupply + 1n)
+            ).to.be.revertedWith("Exceeds maximum token supply");
+
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr5.address]);
+            await expect(
+                token.connect(addr6).bridgeMint(addr5.address, 1n)
+            ).to.be.revertedWith("Recipient is blacklisted");
+
+            await executeTokenCall(multisig, token, "pause", []);
+            await expect(
+                token.connect(addr6).bridgeMint(addr4.address, 1n)
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+        });
+    });
+
+    describe("Token Snapshot Tests", function () {
+        let multisigAddress;
+
+        beforeEach(async function () {
+            multisigAddress = await multisig.getAddress();
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("1000")]);
+        });
+
+        it("Should record balances and total supply as of each snapshot", async function () {
+            await expect(executeTokenCall(multisig, token, "snapshot", []))
+                .to.emit(token, "Snapshot")
+                .withArgs(1n);
+            expect(await token.currentSnapshotId()).to.equal(1n);
+
+            await token.connect(addr4).transfer(addr5.address, ethers.parseEther("100"));
+            await executeTokenCall(multisig, token, "mint", [addr5.address, ethers.parseEther("500")]);
+            await token.connect(addr5).burn(ethers.parseEther("50"));
+
+            await executeTokenCall(multisig, token, "snapshot", []);
+            await token.connect(addr4).transfer(addr5.address, ethers.parseEther("10"));
+
+            const fee = ethers.parseEther("0.05");
+            expect(await token.balanceOfAt(addr4.address, 1)).to.equal(ethers.parseEther("1000"));
+            expect(await token.balanceOfAt(addr5.address, 1)).to.equal(0n);
+            expect(await token.balanceOfAt(multisigAddress, 1)).to.equal(0n);
+            expect(await token.totalSupplyAt(1)).to.equal(ethers.parseEther("1000"));
+
+            expect(await token.balanceOfAt(addr4.address, 2)).to.equal(ethers.parseEther("900"));
+            expect(await token.balanceOfAt(addr5.address, 2)).to.equal(ethers.parseEther("550") - fee);
+            expect(await token.balanceOfAt(multisigAddress, 2)).to.equal(fee);
+            expect(await token.totalSupplyAt(2)).to.equal(ethers.parseEther("1450"));
+
+            expect(await token.balanceOfAt(addr4.address, 2)).to.not.equal(await token.balanceOf(addr4.address));
+            expect(await token.balanceOfAt(addr6.address, 2)).to.equal(0n);
+        });
+
+        it("Should record the supply before burned transfer fees", async function () {
+            await executeTokenCall(multisig, token, "setFeeSplit", [0, 10000, 0]);
+            await executeTokenCall(multisig, token, "snapshot", []);
+
+            await token.connect(addr4).transfer(addr5.address, ethers.parseEther("100"));
+
+            expect(await token.totalSupplyAt(1)).to.equal(ethers.parseEther("1000"));
+            expect(await token.totalSupply()).to.equal(ethers.parseEther("1000") - ethers.parseEther("0.05"));
+            expect(await token.balanceOfAt(addr4.address, 1)).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should only let the admin or the snapshot role take snapshots", async function () {
+            await expect(
+                token.connect(addr4).snapshot()
+            ).to.be.revertedWith("Caller cannot take snapshots");
+
+            await executeTokenCall(multisig, token, "grantRole", [await token.SNAPSHOT_ROLE(), addr5.address]);
+            await expect(token.connect(addr5).snapshot())
+                .to.emit(token, "Snapshot")
+                .withArgs(1n);
+        });
+
+        it("Should reject invalid snapshot ids", async function () {
+            await expect(
+                token.balanceOfAt(addr4.address, 0)
+            ).to.be.revertedWith("Invalid snapshot id");
+
+            await executeTokenCall(multisig, token, "snapshot", []);
+            await expect(
+                token.totalSupplyAt(2)
+            ).to.be.revertedWith("Nonexistent snapshot id");
+        });
+    });
+
+    describe("Token ERC-1363 Tests", function () {
+        let receiver, receiverAddress;
+        const amount = ethers.parseEther("100");
+        const feeAmount = (amount * 5n) / 10000n;
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("1000")]);
+
+            receiver = await deployReceiver();
+            receiverAddress = await receiver.getAddress();
+        });
+
+        it("Should support the ERC-1363 interface", async function () {
+            expect(await token.supportsInterface("0xb0202a11")).to.be.true;
+            expect(await token.supportsInterface("0x01ffc9a7")).to.be.true;
+            expect(await token.supportsInterface("0xffffffff")).to.be.false;
+        });
+
+        it("Should transferAndCall and tell the receiver the net amount", async function () {
+            await expect(token.connect(addr4)["transferAndCall(address,uint256,bytes)"](receiverAddress, amount, "0x1234"))
+                .to.emit(receiver, "Received")
+                .withArgs(tokenAddress, addr4.address, addr4.address, amount - feeAmount, "0x1234");
+
+            expect(await token.balanceOf(receiverAddress)).to.equal(amount - feeAmount);
+            expect(await token.balanceOf(await multisig.getAddress())).to.equal(feeAmount);
+        });
+
+        it("Should transferAndCall without data", async function () {
+            await expect(token.connect(addr4)["transferAndCall(address,uint256)"](receiverAddress, amount))
+                .to.emit(receiver, "Received")
+                .withArgs(tokenAddress, addr4.address, addr4.address, amount - feeAmount, "0x");
+        });
+
+        it("Should transferFromAndCall using the allowance", async function () {
+            await token.connect(addr4).approve(addr5.address, amount);
+
+            await expect(
+                token.connect(addr5)["transferFromAndCall(address,address,uint256,bytes)"](addr4.address, receiverAddress, amount, "0x")
+            )
+                .to.emit(receiver, "Received")
+                .withArgs(tokenAddress, addr5.address, addr4.address, amount - feeAmount, "0x");
+
+            expect(await token.allowance(addr4.address, addr5.address)).to.equal(0n);
+            expect(await token.balanceOf(receiverAddress)).to.equal(amount - feeAmount);
+
+            await expect(
+                token.connect(addr5)["transferFromAndCall(address,address,uint256)"](addr4.address, receiverAddress, amount)
+            ).to.be.reverted;
+        });
+
+        it("Should approveAndCall and notify the spender", async function () {
+            await expect(token.connect(addr4)["approveAndCall(address,uint256,bytes)"](receiverAddress, amount, "0xabcd"))
+                .to.emit(receiver, "Approved")
+                .withArgs(tokenAddress, addr4.address, amount, "0xabcd");
+
+            expect(await token.allowance(addr4.address, receiverAddress)).to.equal(amount);
+
+            await token.connect(addr4)["approveAndCall(address,uint256)"](receiverAddress, 0n);
+            expect(await token.allowance(addr4.address, receiverAddress)).to.equal(0n);
+        });
+
+        it("Should revert when the receiver rejects the transfer", async function () {
+            const wrongValue = await deployReceiver("0x12345678", APPROVED_SELECTOR, false);
+            await expect(
+                token.connect(addr4)["transferAndCall(address,uint256)"](await wrongValue.getAddress(), amount)
+            ).to.be.revertedWith("Receiver rejected tokens");
+
+            const reverting = await deployReceiver(RECEIVED_SELECTOR, APPROVED_SELECTOR, true);
+            await expect(
+                token.connect(addr4)["transferAndCall(address,uint256)"](await reverting.getAddress(), amount)
+            ).to.be.revertedWith("ERC1363ReceiverMock: reverting");
+
+            await expect(
+                token.connect(addr4)["transferAndCall(address,uint256)"](tokenAddress, amount)
+            ).to.be.revertedWith("Receiver rejected tokens");
+
+            await expect(
+                token.connect(addr4)["transferAndCall(address,uint256)"](addr5.address, amount)
+            ).to.be.revertedWith("Receiver is not a contract");
+
+            expect(await token.balanceOf(addr4.address)).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should revert when the spender rejects the approval", async function () {
+            const wrongValue = await deployReceiver(RECEIVED_SELECTOR, "0x12345678", false);
+            await expect(
+                token.connect(addr4)["approveAndCall(address,uint256)"](await wrongValue.getAddress(), amount)
+            ).to.be.revertedWith("Spender rejected approval");
+
+            await expect(
+                token.connect(addr4)["approveAndCall(address,uint256)"](addr5.address, amount)
+            ).to.be.revertedWith("Spender is not a contract");
+
+            expect(await token.allowance(addr4.address, await wrongValue.getAddress())).to.equal(0n);
+        });
+
+        it("Should apply the blacklist and pause to transferAndCall", async function () {
+            await executeTokenCall(multisig, token, "blacklistAddress", [receiverAddress]);
+
+            await expect(
+                token.connect(addr4)["transferAndCall(address,uint256)"](receiverAddress, amount)
+            ).to.be.revertedWith("Recipient is blacklisted");
+
+            await executeTokenCall(multisig, token, "pause", []);
+
+            await expect(
+                token.connect(addr4)["transferAndCall(address,uint256)"](receiverAddress, amount)
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+        });
+    });
+
+    describe("Token ERC-3009 Authorization Tests", function () {
+        let domain;
+        const value = ethers.parseEther("100");
+        const feeAmount = (value * 5n) / 10000n;
+
+        const transferTypes = {
+            TransferWithAuthorization: [
+                { name: "from", type: "address" },
+                { name: "to", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "validAfter", type: "uint256" },
+                { name: "validBefore", type: "uint256" },
+                { name: "nonce", type: "bytes32" }
+            ]
+        };
+
+        const receiveTypes = {
+            ReceiveWithAuthorization: transferTypes.TransferWithAuthorization
+        };
+
+        const cancelTypes = {
+            CancelAuthorization: [
+                { name: "authorizer", type: "address" },
+                { name: "nonce", type: "bytes32" }
+            ]
+        };
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("1000")]);
+
+            domain = {
+                name: "FibonToken",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: tokenAddress
+            };
+        });
+
+        async function signAuthorization(types, overrides = {}) {
+            const now = await time.latest();
+            const message = {
+                from: addr4.address,
+                to: addr5.address,
+                value: value,
+                validAfter: now - 60,
+                validBefore: now + 3600,
+                nonce: ethers.hexlify(ethers.randomBytes(32)),
+                ...overrides
+            };
+            const signature = await addr4.signTypedData(domain, types, message);
+            const { v, r, s } = ethers.Signature.from(signature);
+            return [message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s];
+        }
+
+        it("Should transfer with a relayed authorization and charge the fee", async function () {
+            const args = await signAuthorization(transferTypes);
+            const nonce = args[5];
+
+            await expect(token.connect(addr8).transferWithAuthorization(...args))
+                .to.emit(token, "AuthorizationUsed")
+                .withArgs(addr4.address, nonce);
+
+            expect(await token.balanceOf(addr5.address)).to.equal(value - feeAmount);
+            expect(await token.balanceOf(await multisig.getAddress())).to.equal(feeAmount);
+            expect(await token.authorizationState(addr4.address, nonce)).to.be.true;
+
+            await expect(
+                token.connect(addr8).transferWithAuthorization(...args)
+            ).to.be.revertedWith("Authorization is used or canceled");
+        });
+
+        it("Should only let the payee receive with authorization", async function () {
+            const args = await signAuthorization(receiveTypes);
+
+            await expect(
+                token.connect(addr8).receiveWithAuthorization(...args)
+            ).to.be.revertedWith("Caller must be the payee");
+
+            await token.connect(addr5).receiveWithAuthorization(...args);
+            expect(await token.balanceOf(addr5.address)).to.equal(value - feeAmount);
+        });
+
+        it("Should not accept a transfer authorization as a receive authorization", async function () {
+            const args = await signAuthorization(transferTypes);
+
+            await expect(
+                token.connect(addr5).receiveWithAuthorization(...args)
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should enforce the validity window", async function () {
+            const now = await time.latest();
+
+            const notYetValid = await signAuthorization(transferTypes, { validAfter: now + 600 });
+            await expect(
+                token.transferWithAuthorization(...notYetValid)
+            ).to.be.revertedWith("Authorization is not yet valid");
+
+            const expired = await signAuthorization(transferTypes, { validBefore: now });
+            await expect(
+                token.transferWithAuthorization(...expired)
+            ).to.be.revertedWith("Authorization is expired");
+        });
+
+        it("Should reject authorizations signed by someone else", async function () {
+            const args = await signAuthorization(transferTypes, { from: addr6.address });
+
+            await expect(
+                token.transferWithAuthorization(...args)
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should cancel an unused authorization", async function () {
+            const args = await signAuthorization(transferTypes);
+            const nonce = args[5];
+
+            const cancelSignature = await addr4.signTypedData(domain, cancelTypes, {
+                authorizer: addr4.address,
+                nonce: nonce
+            });
+            const { v, r, s } = ethers.Signature.from(cancelSignature);
+
+            await expect(token.connect(addr8).cancelAuthorization(addr4.address, nonce, v, r, s))
+                .to.emit(token, "AuthorizationCanceled")
+                .withArgs(addr4.address, nonce);
+
+            await expect(
+                token.transferWithAuthorization(...args)
+            ).to.be.revertedWith("Authorization is used or canceled");
+
+            await expect(
+                token.cancelAuthorization(addr4.address, nonce, v, r, s)
+            ).to.be.revertedWith("Authorization is used or canceled");
+        });
+
+        it("Should apply the blacklist and pause to authorized transfers", async function () {
+            const args = await signAuthorization(transferTypes);
+
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr5.address]);
+
+            await expect(
+                token.transferWithAuthorization(...args)
+            ).to.be.revertedWith("Recipient is blacklisted");
+
+            await executeTokenCall(multisig, token, "pause", []);
+
+            await expect(
+                token.transferWithAuthorization(...args)
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+            expect(await token.authorizationState(addr4.address, args[5])).to.be.false;
+        });
+    });
+
+    describe("Token Voting Tests", function () {
+        const transferAmount = ethers.parseEther("100");
+        const feeAmount = (transferAmount * 5n) / 10000n;
+
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("10000")]);
+        });
+
+        it("Should expose a block number clock", async function () {
+            expect(await token.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+            expect(await token.clock()).to.equal(BigInt(await ethers.provider.getBlockNumber()));
+        });
+
+        it("Should only count delegated balances as votes", async function () {
+            expect(await token.getVotes(addr4.address)).to.equal(0n);
+
+            await expect(token.connect(addr4).delegate(addr4.address))
+                .to.emit(token, "DelegateChanged")
+                .withArgs(addr4.address, ethers.ZeroAddress, addr4.address);
+
+            expect(await token.delegates(addr4.address)).to.equal(addr4.address);
+            expect(await token.getVotes(addr4.address)).to.equal(ethers.parseEther("10000"));
+            expect(await token.numCheckpoints(addr4.address)).to.equal(1n);
+        });
+
+        it("Should move voting power through fee-charging transfers", async function () {
+            await token.connect(addr4).delegate(addr4.address);
+            await token.connect(addr5).delegate(addr6.address);
+
+            await token.connect(addr4).transfer(addr5.address, transferAmount);
+
+            expect(await token.getVotes(addr4.address)).to.equal(ethers.parseEther("10000") - transferAmount);
+            expect(await token.getVotes(addr6.address)).to.equal(transferAmount - feeAmount);
+            expect(await token.getVotes(addr5.address)).to.equal(0n);
+            expect(await token.balanceOf(await multisig.getAddress())).to.equal(feeAmount);
+
+            await token.connect(addr5).approve(addr7.address, ethers.parseEther("50"));
+            await token.connect(addr7).transferFrom(addr5.address, addr4.address, ethers.parseEther("50"));
+
+            const secondFee = (ethers.parseEther("50") * 5n) / 10000n;
+            expect(await token.getVotes(addr6.address)).to.equal(transferAmount - feeAmount - ethers.parseEther("50"));
+            expect(await token.getVotes(addr4.address)).to.equal(
+                ethers.parseEther("10000") - transferAmount + ethers.parseEther("50") - secondFee
+            );
+        });
+
+        it("Should track past votes and total supply with burned fees", async function () {
+            await executeTokenCall(multisig, token, "setFeeSplit", [0, 10000, 0]);
+            await token.connect(addr4).delegate(addr4.address);
+
+            const supplyBefore = await token.totalSupply();
+            await token.connect(addr4).transfer(addr5.address, transferAmount);
+            const transferBlock = await ethers.provider.getBlockNumber();
+            await ethers.provider.send("evm_mine");
+
+            expect(await token.getPastTotalSupply(transferBlock - 1)).to.equal(supplyBefore);
+            expect(await token.getPastTotalSupply(transferBlock)).to.equal(supplyBefore - feeAmount);
+            expect(await token.getPastVotes(addr4.address, transferBlock - 1)).to.equal(ethers.parseEther("10000"));
+            expect(await token.getPastVotes(addr4.address, transferBlock)).to.equal(
+                ethers.parseEther("10000") - transferAmount
+            );
+        });
+
+        it("Should delegate by signature", async function () {
+            const nonce = await token.nonces(addr4.address);
+            const expiry = (await time.latest()) + 3600;
+
+            const domain = {
+                name: "FibonToken",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: tokenAddress
+            };
+
+            const types = {
+                Delegation: [
+                    { name: "delegatee", type: "address" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "expiry", type: "uint256" }
+                ]
+            };
+
+            const signature = await addr4.signTypedData(domain, types, {
+                delegatee: addr5.address,
+                nonce: nonce,
+                expiry: expiry
+            });
+            const { v, r, s } = ethers.Signature.from(signature);
+
+            await token.connect(addr6).delegateBySig(addr5.address, nonce, expiry, v, r, s);
+
+            expect(await token.delegates(addr4.address)).to.equal(addr5.address);
+            expect(await token.getVotes(addr5.address)).to.equal(ethers.parseEther("10000"));
+            expect(await token.nonces(addr4.address)).to.equal(nonce + 1n);
+        });
+
+        it("Should prevent delegation involving blacklisted addresses", async function () {
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr5.address]);
+
+            await expect(
+                token.connect(addr4).delegate(addr5.address)
+            ).to.be.revertedWith("Delegatee is blacklisted");
+
+            await expect(
+                token.connect(addr5).delegate(addr4.address)
+            ).to.be.revertedWith("Delegator is blacklisted");
+        });
+    });
+
+    describe("Token Role Tests", function () {
+        let MINTER_ROLE, BLACKLIST_MANAGER_ROLE, FEE_MANAGER_ROLE, DEFAULT_ADMIN_ROLE;
+
+        beforeEach(async function () {
+            MINTER_ROLE = await token.MINTER_ROLE();
+            BLACKLIST_MANAGER_ROLE = await token.BLACKLIST_MANAGER_ROLE();
+            FEE_MANAGER_ROLE = await token.FEE_MANAGER_ROLE();
+            DEFAULT_ADMIN_ROLE = await token.DEFAULT_ADMIN_ROLE();
+
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("1000")]);
+        });
+
+        it("Should grant every role to the initial admin", async function () {
+            const multisigAddress = await multisig.getAddress();
+            for (const role of [DEFAULT_ADMIN_ROLE, MINTER_ROLE, BLACKLIST_MANAGER_ROLE, FEE_MANAGER_ROLE]) {
+                expect(await token.hasRole(role, multisigAddress)).to.be.true;
+                expect(await token.hasRole(role, addr4.address)).to.be.false;
+            }
+        });
+
+        it("Should let a blacklist manager blacklist without other permissions", async function () {
+            await expect(executeTokenCall(multisig, token, "grantRole", [BLACKLIST_MANAGER_ROLE, addr8.address]))
+                .to.emit(token, "RoleGranted")
+                .withArgs(BLACKLIST_MANAGER_ROLE, addr8.address, await multisig.getAddress());
+
+            await expect(token.connect(addr8).blacklistAddress(addr5.address))
+                .to.emit(token, "AddressBlacklisted")
+                .withArgs(addr5.address);
+            await token.connect(addr8).unblacklistAddress(addr5.address);
+
+            await expect(
+                token.connect(addr8).mint(addr8.address, ethers.parseEther("1"))
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+            .withArgs(addr8.address, MINTER_ROLE);
+
+            await expect(
+                token.connect(addr8).proposeTransferFeePercent(0, (await time.latest()) + 3 * 24 * 3600)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+            .withArgs(addr8.address, FEE_MANAGER_ROLE);
+
+            await expect(
+                token.connect(addr8).pause()
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+            .withArgs(addr8.address, DEFAULT_ADMIN_ROLE);
+        });
+
+        it("Should let separate keys mint and manage fees", async function () {
+            await executeTokenCall(multisig, token, "grantRole", [MINTER_ROLE, addr7.address]);
+            await executeTokenCall(multisig, token, "grantRole", [FEE_MANAGER_ROLE, addr8.address]);
+
+            await token.connect(addr7).mint(addr5.address, ethers.parseEther("500"));
+            expect(await token.balanceOf(addr5.address)).to.equal(ethers.parseEther("500"));
+
+            await token.connect(addr8).setFeeRecipient(addr8.address);
+            await token.connect(addr4).transfer(addr6.address, ethers.parseEther("100"));
+            expect(await token.balanceOf(addr8.address)).to.equal((ethers.parseEther("100") * 5n) / 10000n);
+
+            await expect(
+                token.connect(addr7).blacklistAddress(addr5.address)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+            .withArgs(addr7.address, BLACKLIST_MANAGER_ROLE);
+        });
+
+        it("Should revoke roles through MultiSig", async function () {
+            await executeTokenCall(multisig, token, "grantRole", [MINTER_ROLE, addr7.address]);
+            await executeTokenCall(multisig, token, "revokeRole", [MINTER_ROLE, addr7.address]);
+
+            await expect(
+                token.connect(addr7).mint(addr7.address, ethers.parseEther("1"))
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should prevent non-admins from granting roles", async function () {
+            await expect(
+                token.connect(addr4).grantRole(MINTER_ROLE, addr4.address)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+            .withArgs(addr4.address, DEFAULT_ADMIN_ROLE);
+        });
+    });
+
+    describe("Token Pause Tests", function () {
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("1000")]);
+        });
+
+        async function pauseThroughMultiSig() {
+            return executeTokenCall(multisig, token, "pause", []);
+        }
+
+        it("Should pause and unpause through MultiSig", async function () {
+            await expect(pauseThroughMultiSig())
+                .to.emit(token, "Paused")
+                .withArgs(await multisig.getAddress());
+            expect(await token.paused()).to.be.true;
+
+            await expect(executeTokenCall(multisig, token, "unpause", []))
+                .to.emit(token, "Unpaused")
+                .withArgs(await multisig.getAddress());
+            expect(await token.paused()).to.be.false;
+
+            await token.connect(addr4).transfer(addr5.address, ethers.parseEther("100"));
+            expect(await token.balanceOf(addr5.address)).to.be.gt(0);
+        });
+
+        it("Should prevent non-owners from pausing", async function () {
+            await expect(
+                token.connect(addr4).pause()
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should block transfers and burns while paused", async function () {
+            await token.connect(addr4).approve(addr5.address, ethers.parseEther("500"));
+            await pauseThroughMultiSig();
+
+            await expect(
+                token.connect(addr4).transfer(addr5.address, ethers.parseEther("100"))
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+
+            await expect(
+                token.connect(addr5).transferFrom(addr4.address, addr6.address, ethers.parseEther("100"))
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+
+            await expect(
+                token.connect(addr4).burn(ethers.parseEther("100"))
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+
+            await expect(
+                token.connect(addr5).burnFrom(addr4.address, ethers.parseEther("100"))
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+        });
+
+        it("Should block the extension's transfers while paused", async function () {
+            await pauseThroughMultiSig();
+            const amount = ethers.parseEther("100");
+
+            await expect(
+                token.connect(addr4).transferExact(addr5.address, amount)
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+            await expect(
+                token.connect(addr4).multiTransfer([addr5.address], [amount])
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+            await expect(
+                token.connect(addr4)["transferAndCall(address,uint256)"](addr5.address, amount)
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+        });
+
+        it("Should block minting through MultiSig while paused", async function () {
+            await pauseThroughMultiSig();
+
+            const mintData = token.interface.encodeFunctionData(
+                "mint",
+                [addr5.address, ethers.parseEther("1000")]
+            );
+            const txId = await multisig.transactionCount();
+            await multisig.connect(addr1).submitTransaction(tokenAddress, 0, mintData);
+            await expect(
+                multisig.connect(addr2).confirmTransaction(txId)
+            ).to.emit(multisig, "ExecutionFailure")
+            .withArgs(txId);
+
+            expect(await token.balanceOf(addr5.address)).to.equal(0n);
+        });
+
+        it("Should block permits while paused", async function () {
+            const deadline = Math.floor(Date.now() / 1000) + 3600;
+            const value = ethers.parseEther("100");
+
+            const domain = {
+                name: "FibonToken",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: tokenAddress
+            };
+
+            const types = {
+                Permit: [
+                    { name: "owner", type: "address" },
+                    { name: "spender", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            };
+
+            const message = {
+                owner: addr4.address,
+                spender: addr5.address,
+                value: value,
+                nonce: await token.nonces(addr4.address),
+                deadline: deadline
+            };
+
+            const signature = await addr4.signTypedData(domain, types, message);
+            const { v, r, s } = ethers.Signature.from(signature);
+
+            await pauseThroughMultiSig();
+
+            await expect(
+                token.permit(addr4.address, addr5.address, value, deadline, v, r, s)
+            ).to.be.revertedWithCustomError(token, "EnforcedPause");
+        });
+    });
+    describe("Token Upgrade Tests", function () {
+        beforeEach(async function () {
+            await executeTokenCall(multisig, token, "mint", [addr4.address, ethers.parseEther("1000")]);
+        });
+
+        async function deployV2() {
+            const FibonTokenV2 = await ethers.getContractFactory("FibonTokenV2");
+            const implementationV2 = await FibonTokenV2.deploy(await token.extension());
+            await implementationV2.waitForDeployment();
+            return implementationV2.getAddress();
+        }
+
+        it("Should initialize the token through the proxy", async function () {
+            expect(await token.name()).to.equal("FibonToken");
+            expect(await token.symbol()).to.equal("FIBON");
+            expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), await multisig.getAddress())).to.be.true;
+            expect(await token.transferFeePercent()).to.equal(5n);
+        });
+
+        it("Should prevent initializing twice", async function () {
+            await expect(
+                token.initialize(addr4.address)
+            ).to.be.revertedWithCustomError(token, "InvalidInitialization");
+        });
+
+        it("Should forward calls through both extensions against the token's storage", async function () {
+            const transferExtension = await ethers.getContractAt("FibonTokenTransferExtension", await token.extension());
+            const extension = await ethers.getContractAt("FibonTokenExtension", await transferExtension.extension());
+
+            expect(await token.feeRecipient()).to.equal(await multisig.getAddress());
+            expect(await token.isTransferFeeApplicable(addr4.address, addr5.address)).to.be.true;
+            expect(await extension.isTransferFeeApplicable(addr4.address, addr5.address)).to.be.false;
+
+            await token.connect(addr4).transferExact(addr5.address, ethers.parseEther("10"));
+            expect(await token.balanceOf(addr5.address)).to.equal(ethers.parseEther("10"));
+            expect(await transferExtension.balanceOf(addr5.address)).to.equal(0n);
+
+            await expect(
+                token.connect(addr4).setFeeRecipient(addr4.address)
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+
+            await expect(
+                addr4.sendTransaction({ to: tokenAddress, data: "0x12345678" })
+            ).to.be.reverted;
+        });
+
+        it("Should prevent initializing the implementation directly", async function () {
+            const FibonToken = await ethers.getContractFactory("FibonToken");
+            const implementation = await FibonToken.deploy(await token.extension());
+            await implementation.waitForDeployment();
+
+            await expect(
+                implementation.initialize(addr4.address)
+            ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+        });
+
+        it("Should prevent non-owners from upgrading", async function () {
+            const implementationV2 = await deployV2();
+
+            await expect(
+                token.connect(addr4).upgradeToAndCall(implementationV2, "0x")
+            ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should preserve state when upgrading from V1 to V2 through MultiSig", async function () {
+            await token.connect(addr4).transfer(addr5.address, ethers.parseEther("100"));
+
+            await executeTokenCall(multisig, token, "blacklistAddress", [addr6.address]);
+
+            const effectiveTime = (await time.latest()) + 2 * 24 * 3600 + 60;
+            await executeTokenCall(multisig, token, "proposeTransferFeePercent", [25, effectiveTime]);
+            await time.increaseTo(effectiveTime);
+            await token.applyTransferFeeChange();
+
+            const balance4 = await token.balanceOf(addr4.address);
+            const balance5 = await token.balanceOf(addr5.address);
+            const multisigBalance = await token.balanceOf(await multisig.getAddress());
+            const totalSupply = await token.totalSupply();
+
+            const implementationV2 = await deployV2();
+            await expect(
+                executeTokenCall(multisig, token, "upgradeToAndCall", [implementationV2, "0x"])
+            ).to.emit(token, "Upgraded")
+            .withArgs(implementationV2);
+
+            const tokenV2 = await ethers.getContractAt("FibonTokenV2", tokenAddress);
+            expect(await tokenV2.version()).to.equal("2");
+            expect(await tokenV2.balanceOf(addr4.address)).to.equal(balance4);
+            expect(await tokenV2.balanceOf(addr5.address)).to.equal(balance5);
+            expect(await tokenV2.balanceOf(await multisig.getAddress())).to.equal(multisigBalance);
+            expect(await tokenV2.totalSupply()).to.equal(totalSupply);
+            expect(await tokenV2.isBlacklisted(addr6.address)).to.be.true;
+            expect(await tokenV2.transferFeePercent()).to.equal(25n);
+            expect(await tokenV2.hasRole(await tokenV2.DEFAULT_ADMIN_ROLE(), await multisig.getAddress())).to.be.true;
+            expect(await token.blacklistedCount()).to.equal(1n);
+
+            await expect(
+                tokenV2.connect(addr5).transfer(addr6.address, ethers.parseEther("10"))
+            ).to.be.revertedWith("Recipient is blacklisted");
+        });
+    });
+
     describe("ICO Advanced Tests", function () {
         let nextTxId;
         const PHASE_PRELAUNCH = 0;